@@ -32,6 +32,9 @@
 #   ) %>
 #
 # @example With image preview
+#   PDFs, videos, audio and text files get a preview as well. PDF thumbnails
+#   are rendered with pdf.js when the app pins "pdfjs-dist" and its worker,
+#   "pdfjs-dist/build/pdf.worker.mjs", which the controller sets up itself.
 #   <%= render Form::Field::FileUploadComponent.new(
 #     name: "photo",
 #     label: "Photo",
@@ -55,6 +58,115 @@
 #     max_size: 100.megabytes
 #   ) %>
 #
+# @example With direct uploads
+#   Files are uploaded as soon as they are added and submitted as signed blob ids.
+#   The endpoint is an Active Storage direct uploads route, and failed uploads are retried.
+#   The app pins "@rails/activestorage", which the controller imports on the first upload.
+#   Each file row offers Cancel and Retry actions, and the controller dispatches
+#   file-upload:added, :removed, :progress, :failed and :completed events.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "project[attachments][]",
+#     label: "Attachments",
+#     multiple: true,
+#     direct_upload_url: rails_direct_uploads_path
+#   ) %>
+#
+# @example With resumable uploads
+#   Files are sent in chunks of chunk_size to an endpoint of the app that
+#   assembles them into a blob, and only a failed chunk is retried. See the
+#   Stimulus controller for the protocol the endpoint speaks.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "project[videos][]",
+#     label: "Videos",
+#     multiple: true,
+#     resumable_upload_url: resumable_uploads_path,
+#     chunk_size: 8.megabytes
+#   ) %>
+#
+# @example With client-side image processing
+#   Photos are scaled down, re-encoded and stripped of EXIF data before upload.
+#   The max_size check applies to the processed image.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "photo",
+#     label: "Photo",
+#     accept: "image/*",
+#     image_max_width: 1600,
+#     image_max_height: 1600,
+#     image_quality: 0.8,
+#     image_type: "image/jpeg",
+#     strip_metadata: true
+#   ) %>
+#
+# @example With image editor
+#   Clicking an image preview opens a crop/rotate/zoom editor in a modal.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "avatar",
+#     label: "Avatar",
+#     accept: "image/*",
+#     image_editor: true,
+#     crop_aspect_ratio: 1
+#   ) %>
+#
+# @example With reorderable files
+#   Files can be reordered by dragging their handle or with Alt+ArrowUp / Alt+ArrowDown.
+#   With position_field, each file carries a hidden field holding its position.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "gallery[photos][]",
+#     label: "Photos",
+#     accept: "image/*",
+#     multiple: true,
+#     reorderable: true,
+#     position_field: "gallery[positions][]"
+#   ) %>
+#
+# @example With folder drops
+#   Dropped folders are walked recursively (hidden and system files are skipped)
+#   and each file's relative path is submitted in path_field. Files can also be
+#   pasted into the focused drop zone, e.g. screenshots.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "project[files][]",
+#     label: "Project files",
+#     multiple: true,
+#     max_files: 50,
+#     path_field: "project[file_paths][]"
+#   ) %>
+#
+# @example With content and dimension checks
+#   Files whose leading bytes do not match their type are rejected, as are images
+#   outside the dimension bounds, duplicates and files over the total size.
+#   Rejected files are listed with their error next to the accepted ones.
+#   Custom validators registered on the controller run after the built-in ones.
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "listing[photos][]",
+#     label: "Photos",
+#     accept: "image/png,image/jpeg",
+#     multiple: true,
+#     verify_content: true,
+#     min_image_dimensions: { width: 800, height: 600 },
+#     max_total_size: 50.megabytes,
+#     reject_duplicates: true,
+#     validators: %w[noScreenshots]
+#   ) %>
+#
+# @example With existing attachments (edit forms)
+#   Attachments are listed with the new files and count against max_files.
+#   Kept attachments submit their signed id under the input name, removed ones
+#   submit it in purge_field (defaults to e.g. "project[purge_attachments][]").
+#   <%= render Form::Field::FileUploadComponent.new(
+#     name: "project[attachments][]",
+#     label: "Attachments",
+#     multiple: true,
+#     attachments: @project.attachments.map { |attachment|
+#       {
+#         name: attachment.filename.to_s,
+#         size: attachment.byte_size,
+#         signed_id: attachment.signed_id,
+#         content_type: attachment.content_type,
+#         url: (url_for(attachment.variant(resize_to_limit: [ 80, 80 ])) if attachment.variable?)
+#       }
+#     }
+#   ) %>
+#
 # @example With error state
 #   <%= render Form::Field::FileUploadComponent.new(
 #     name: "document",
@@ -93,6 +205,12 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
   # Default max number of files for multiple upload
   DEFAULT_MAX_FILES = 10
 
+  # Default chunk size in bytes for resumable uploads (5MB)
+  DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024
+
+  # Output types supported by client-side image processing
+  IMAGE_TYPES = %w[image/jpeg image/png image/webp].freeze
+
   # @param name [String] The input name attribute (required)
   # @param id [String] The input id attribute (defaults to name)
   # @param label [String] The label text
@@ -105,9 +223,30 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
   # @param multiple [Boolean] Whether to allow multiple file uploads
   # @param max_size [Integer] Maximum file size in bytes
   # @param max_files [Integer] Maximum number of files (for multiple uploads)
-  # @param preview [Boolean] Whether to show image preview
+  # @param preview [Boolean] Whether to show previews of images, PDFs, video, audio and text files
   # @param drop_text [String] Custom text for drop zone
   # @param browse_text [String] Custom text for browse button
+  # @param direct_upload_url [String] Active Storage direct uploads endpoint (files are uploaded on selection when set)
+  # @param resumable_upload_url [String] Endpoint taking files in chunks (files are uploaded on selection when set)
+  # @param chunk_size [Integer] Chunk size in bytes for resumable uploads
+  # @param image_max_width [Integer] Maximum width in pixels images are scaled down to
+  # @param image_max_height [Integer] Maximum height in pixels images are scaled down to
+  # @param image_quality [Float] Encoding quality between 0 and 1 for processed images
+  # @param image_type [String] Output type for processed images (see IMAGE_TYPES)
+  # @param strip_metadata [Boolean] Whether to re-encode images to remove EXIF metadata
+  # @param image_editor [Boolean] Whether clicking an image preview opens the crop/rotate editor
+  # @param crop_aspect_ratio [Numeric] Width / height ratio the editor crop is locked to (e.g. 1, 16.0 / 9)
+  # @param reorderable [Boolean] Whether files can be reordered (multiple uploads only)
+  # @param position_field [String] Name of the hidden field holding each file's position
+  # @param path_field [String] Name of the hidden field holding each file's path within a dropped folder
+  # @param verify_content [Boolean] Whether to check files' leading bytes against their type
+  # @param min_image_dimensions [Hash] Minimum image size in pixels, as { width:, height: }
+  # @param max_image_dimensions [Hash] Maximum image size in pixels, as { width:, height: }
+  # @param max_total_size [Integer] Maximum combined size in bytes of all files
+  # @param reject_duplicates [Boolean] Whether to reject files identical to an already added file
+  # @param validators [Array<String>] Names of custom validators registered on the Stimulus controller
+  # @param attachments [Array<Hash>] Files already attached, as { name:, size:, signed_id:, url:, content_type: }
+  # @param purge_field [String] Name of the hidden field holding the signed ids of removed attachments
   # @param html_attributes [Hash] Additional HTML attributes for the input
   def initialize(
     name:,
@@ -118,6 +257,27 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
     preview: true,
     drop_text: nil,
     browse_text: nil,
+    direct_upload_url: nil,
+    resumable_upload_url: nil,
+    chunk_size: DEFAULT_CHUNK_SIZE,
+    image_max_width: nil,
+    image_max_height: nil,
+    image_quality: nil,
+    image_type: nil,
+    strip_metadata: false,
+    image_editor: false,
+    crop_aspect_ratio: nil,
+    reorderable: false,
+    position_field: nil,
+    path_field: nil,
+    verify_content: false,
+    min_image_dimensions: nil,
+    max_image_dimensions: nil,
+    max_total_size: nil,
+    reject_duplicates: false,
+    validators: [],
+    attachments: [],
+    purge_field: nil,
     **options
   )
     super(name: name, **options)
@@ -128,6 +288,35 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
     @preview = preview
     @drop_text = drop_text
     @browse_text = browse_text
+    @direct_upload_url = direct_upload_url
+    @resumable_upload_url = resumable_upload_url
+    @chunk_size = chunk_size
+    @image_max_width = image_max_width
+    @image_max_height = image_max_height
+    @image_quality = image_quality
+    @image_type = image_type
+    @strip_metadata = strip_metadata
+    @image_editor = image_editor
+    @crop_aspect_ratio = crop_aspect_ratio
+    @reorderable = reorderable
+    @position_field = position_field
+    @path_field = path_field
+    @verify_content = verify_content
+    @min_image_dimensions = min_image_dimensions
+    @max_image_dimensions = max_image_dimensions
+    @max_total_size = max_total_size
+    @reject_duplicates = reject_duplicates
+    @validators = Array(validators).map(&:to_s)
+    @attachments = Array(attachments).map { |attachment| attachment.to_h.symbolize_keys }
+    @purge_field = purge_field || default_purge_field
+
+    validate_image_quality!
+    validate_image_type!
+    validate_crop_aspect_ratio!
+    validate_upload_urls!
+    validate_image_dimensions!(:min_image_dimensions, @min_image_dimensions)
+    validate_image_dimensions!(:max_image_dimensions, @max_image_dimensions)
+    validate_attachments!
   end
 
   # Whether the component allows multiple files
@@ -136,12 +325,42 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
     @multiple
   end
 
-  # Whether to show image preview
+  # Whether to show file previews
   # @return [Boolean]
   def preview?
     @preview
   end
 
+  # Whether files are uploaded directly instead of with the form submit
+  # @return [Boolean]
+  def direct_upload?
+    @direct_upload_url.present? || @resumable_upload_url.present?
+  end
+
+  # Whether clicking an image preview opens the image editor
+  # @return [Boolean]
+  def image_editor?
+    @image_editor && @preview
+  end
+
+  # Whether the field already has attached files
+  # @return [Boolean]
+  def attachments?
+    @attachments.any?
+  end
+
+  # Whether files can be reordered
+  # @return [Boolean]
+  def reorderable?
+    @reorderable && @multiple
+  end
+
+  # Whether images are processed in the browser before being added
+  # @return [Boolean]
+  def image_processing?
+    [ @image_max_width, @image_max_height, @image_quality, @image_type ].any?(&:present?) || @strip_metadata
+  end
+
   # The text displayed in the drop zone
   # @return [String]
   def drop_zone_text
@@ -181,6 +400,159 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
 
   private
 
+  # Validate the image quality parameter
+  # @raise [ArgumentError] if image quality is not between 0 and 1
+  def validate_image_quality!
+    return if @image_quality.nil?
+    return if @image_quality.is_a?(Numeric) && @image_quality.between?(0, 1)
+
+    raise ArgumentError, "Invalid image_quality: #{@image_quality}. Must be between 0 and 1"
+  end
+
+  # Validate the image type parameter
+  # @raise [ArgumentError] if image type is not supported
+  def validate_image_type!
+    return if @image_type.nil? || IMAGE_TYPES.include?(@image_type)
+
+    raise ArgumentError, "Invalid image_type: #{@image_type}. Valid types are: #{IMAGE_TYPES.join(', ')}"
+  end
+
+  # Validate the crop aspect ratio parameter
+  # @raise [ArgumentError] if crop aspect ratio is not a positive number
+  def validate_crop_aspect_ratio!
+    return if @crop_aspect_ratio.nil?
+    return if @crop_aspect_ratio.is_a?(Numeric) && @crop_aspect_ratio.positive?
+
+    raise ArgumentError, "Invalid crop_aspect_ratio: #{@crop_aspect_ratio}. Must be a positive number"
+  end
+
+  # Validate the direct upload parameters
+  # @raise [ArgumentError] if both upload endpoints are given or the chunk size is not a positive integer
+  def validate_upload_urls!
+    if @direct_upload_url.present? && @resumable_upload_url.present?
+      raise ArgumentError, "Invalid upload endpoints. Use either direct_upload_url or resumable_upload_url"
+    end
+    return if @chunk_size.is_a?(Integer) && @chunk_size.positive?
+
+    raise ArgumentError, "Invalid chunk_size: #{@chunk_size}. Must be a positive integer"
+  end
+
+  # Validate an image dimensions parameter
+  # @param name [Symbol] The parameter name
+  # @param dimensions [Hash, nil] The parameter value
+  # @raise [ArgumentError] if dimensions do not have positive integer width and height
+  def validate_image_dimensions!(name, dimensions)
+    return if dimensions.nil?
+    return if dimensions.is_a?(Hash) &&
+      dimensions.keys.map(&:to_sym).sort == %i[height width] &&
+      dimensions.values.all? { |value| value.is_a?(Integer) && value.positive? }
+
+    raise ArgumentError, "Invalid #{name}: #{dimensions}. Must be a hash with positive integer width and height"
+  end
+
+  # Messages and size units for the Stimulus controller, as JSON
+  # @return [String]
+  def translations_json
+    @translations_json ||= build_translations_hash.to_json
+  end
+
+  # Messages and size units for the Stimulus controller, the messages coming
+  # from the component's locale files only
+  # @return [Hash]
+  def build_translations_hash
+    t_component("messages", default: {}).merge(
+      # Same units as number_to_human_size, so client and server sizes match
+      storage_format: t_with_fallback("format", scope: "number.human.storage_units", default: "%n %u"),
+      storage_units: t_with_fallback("units", scope: "number.human.storage_units", default: {
+        byte: { one: "Byte", other: "Bytes" },
+        kb: "KB",
+        mb: "MB",
+        gb: "GB"
+      })
+    )
+  end
+
+  # Validate the attachments parameter
+  # @raise [ArgumentError] if an attachment lacks a name or signed id
+  def validate_attachments!
+    invalid = @attachments.find { |attachment| attachment[:name].blank? || attachment[:signed_id].blank? }
+    return if invalid.nil?
+
+    raise ArgumentError, "Invalid attachment: #{invalid}. Must have a name and a signed_id"
+  end
+
+  # Purge field name derived from the input name,
+  # e.g. "project[attachments][]" becomes "project[purge_attachments][]"
+  # @return [String]
+  def default_purge_field
+    base = @name.delete_suffix("[]")
+    match = base.match(/\A(.+)\[([^\]]+)\]\z/)
+
+    match ? "#{match[1]}[purge_#{match[2]}][]" : "purge_#{base}[]"
+  end
+
+  # Attachments for the Stimulus controller, as JSON
+  # @return [String]
+  def attachments_json
+    @attachments.map do |attachment|
+      {
+        name: attachment[:name],
+        size: attachment[:size].to_i,
+        signedId: attachment[:signed_id],
+        url: attachment[:url],
+        contentType: attachment[:content_type]
+      }.compact
+    end.to_json
+  end
+
+  # ID of the image editor modal
+  # @return [String]
+  def image_editor_id
+    "#{@id}-image-editor"
+  end
+
+  # CSS classes for the image editor canvas
+  # @return [String]
+  def editor_canvas_classes
+    "block w-full h-auto rounded-lg bg-slate-900 cursor-move touch-none " \
+    "focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+  end
+
+  # ID of the reorder instructions
+  # @return [String]
+  def reorder_instructions_id
+    "#{@id}-reorder-instructions"
+  end
+
+  # CSS classes for the duration badge of video and audio previews
+  # @return [String]
+  def preview_duration_classes
+    "absolute bottom-0 right-0 px-0.5 rounded-tl bg-black bg-opacity-60 text-white text-[10px] leading-tight pointer-events-none"
+  end
+
+  # CSS classes for the drag handle of a file item
+  # @return [String]
+  def drag_handle_classes
+    "flex-shrink-0 p-1 rounded text-gray-400 hover:text-gray-600 cursor-grab active:cursor-grabbing " \
+    "focus:outline-none focus:ring-2 focus:ring-blue-500"
+  end
+
+  # Data attributes for a file item in the list
+  # @return [Hash]
+  def file_item_data_attributes
+    attrs = { file_item: "" }
+    return attrs unless reorderable?
+
+    attrs[:action] = [
+      "dragstart->components--file-upload#startReorder",
+      "dragover->components--file-upload#reorderOver",
+      "drop->components--file-upload#reorderDrop",
+      "dragend->components--file-upload#endReorder",
+      "keydown->components--file-upload#handleItemKeydown"
+    ].join(" ")
+    attrs
+  end
+
   # CSS classes for the wrapper
   # @return [String]
   def wrapper_classes
@@ -297,30 +669,86 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
       id: @id,
       class: "sr-only",
       disabled: @disabled || nil,
-      required: @required || nil,
+      # Existing attachments satisfy a required field until they are removed
+      required: (@required && !attachments?) || nil,
       "aria-invalid": has_error? ? "true" : nil,
       "aria-describedby": aria_describedby,
       data: {
         "components--file-upload-target": "input",
-        action: "change->components--file-upload#handleFileSelect"
-      }
+        action: "change->components--file-upload#handleFileSelect",
+        required_without_attachments: (@required && attachments?) || nil
+      }.compact
     }
     attrs[:accept] = @accept if @accept.present?
     attrs[:multiple] = true if @multiple
     merge_html_attributes(attrs.compact)
   end
 
+  # CSS classes for the retry/cancel upload buttons
+  # @return [String]
+  def upload_action_button_classes
+    "px-2 py-0.5 rounded text-xs font-medium text-blue-600 hover:bg-gray-200 hover:text-blue-700 transition-colors"
+  end
+
+  # CSS classes for the upload progress track
+  # @return [String]
+  def progress_classes
+    "mt-1 h-1 w-full overflow-hidden rounded-full bg-gray-200 hidden"
+  end
+
   # Data attributes for the wrapper element (Stimulus)
   # @return [Hash]
   def wrapper_data_attributes
-    {
+    attrs = {
       controller: "components--file-upload",
+      "components--file-upload-translations-value": translations_json,
+      "components--file-upload-locale-value": I18n.locale.to_s,
       "components--file-upload-max-size-value": @max_size,
       "components--file-upload-max-files-value": @max_files,
       "components--file-upload-accept-value": @accept,
       "components--file-upload-multiple-value": @multiple,
       "components--file-upload-preview-value": @preview
     }
+
+    attrs["components--file-upload-direct-upload-url-value"] = @direct_upload_url if @direct_upload_url.present?
+
+    if @resumable_upload_url.present?
+      attrs["components--file-upload-resumable-upload-url-value"] = @resumable_upload_url
+      attrs["components--file-upload-chunk-size-value"] = @chunk_size
+    end
+
+    if image_editor?
+      attrs[:action] = "components--modal:close->components--file-upload#handleEditorClose"
+      attrs["components--file-upload-crop-aspect-ratio-value"] = @crop_aspect_ratio
+    end
+
+    attrs["components--file-upload-path-field-value"] = @path_field if @path_field.present?
+    attrs["components--file-upload-verify-content-value"] = true if @verify_content
+    attrs["components--file-upload-min-image-dimensions-value"] = @min_image_dimensions.to_json if @min_image_dimensions
+    attrs["components--file-upload-max-image-dimensions-value"] = @max_image_dimensions.to_json if @max_image_dimensions
+    attrs["components--file-upload-max-total-size-value"] = @max_total_size if @max_total_size
+    attrs["components--file-upload-reject-duplicates-value"] = true if @reject_duplicates
+    attrs["components--file-upload-validators-value"] = @validators.to_json if @validators.any?
+
+    if attachments?
+      attrs["components--file-upload-attachments-value"] = attachments_json
+      attrs["components--file-upload-purge-field-value"] = @purge_field
+    end
+
+    if reorderable?
+      attrs["components--file-upload-reorderable-value"] = true
+      attrs["components--file-upload-position-field-value"] = @position_field
+    end
+
+    if image_processing?
+      attrs["components--file-upload-image-max-width-value"] = @image_max_width
+      attrs["components--file-upload-image-max-height-value"] = @image_max_height
+      attrs["components--file-upload-image-quality-value"] = @image_quality
+      attrs["components--file-upload-image-type-value"] = @image_type
+      attrs["components--file-upload-strip-metadata-value"] = @strip_metadata
+    end
+
+    attrs
   end
 
   # Data attributes for the drop zone
@@ -333,6 +761,7 @@ class Form::Field::FileUploadComponent < Form::Field::BaseComponent
         "dragover->components--file-upload#handleDragOver",
         "dragleave->components--file-upload#handleDragLeave",
         "drop->components--file-upload#handleDrop",
+        "paste->components--file-upload#handlePaste",
         "click->components--file-upload#handleDropZoneClick",
         "keydown->components--file-upload#handleKeydown"
       ].join(" ")
@@ -38,6 +38,18 @@
 #     value: ["Ruby", "Rails"]
 #   ) %>
 #
+# @example With search keywords and fuzzy matching
+#   A third element adds keywords that are searched along with the label.
+#   Fuzzy matching finds "John Smith" when typing "jsmith" and sorts by relevance.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "assignees[]",
+#     options: [
+#       ["John Smith", "12", { keywords: ["jsmith", "john@example.com"] }],
+#       ["Jane Doe", "15", { keywords: "jdoe jane@example.com" }]
+#     ],
+#     fuzzy: true
+#   ) %>
+#
 # @example With grouped options
 #   <%= render Form::Field::MultiSelectComponent.new(
 #     name: "technologies[]",
@@ -48,6 +60,92 @@
 #     }
 #   ) %>
 #
+# @example With disabled options and a selection limit
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "reviewers[]",
+#     label: "Reviewers",
+#     options: [["Alice", "1"], ["Bob", "2"], ["Carol", "3"], ["Dave", "4"]],
+#     disabled_options: ["4"],
+#     max_selections: 2,
+#     bulk_actions: true
+#   ) %>
+#
+# @example Reorderable tags
+#   Tags can be dragged or moved with Alt+Left/Right, and values are submitted in tag order.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "priority_skills[]",
+#     label: "Priority skills",
+#     options: ["Ruby", "Rails", "SQL", "JavaScript"],
+#     value: ["SQL", "Ruby"],
+#     reorderable: true
+#   ) %>
+#
+# @example Virtualized list for thousands of options
+#   Only the options scrolled into view are rendered.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "city_ids[]",
+#     label: "Cities",
+#     options: City.order(:name).pluck(:name, :id),
+#     virtualized: true
+#   ) %>
+#
+# @example With remote search
+#   Options are fetched from search_url as the user types, page by page.
+#   The endpoint receives q and page params and responds with
+#   { "options": [{ "value": "42", "label": "Acme" }], "next_page": 2 }.
+#   Pass the currently selected options so their tags can be rendered.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "customer_ids[]",
+#     label: "Customers",
+#     search_url: customers_search_path,
+#     options: @project.customers.map { |customer| [customer.name, customer.id] },
+#     value: @project.customer_ids
+#   ) %>
+#
+# @example Creatable tags
+#   Values missing from the options can be typed and added with Enter, comma or Tab.
+#   With create_url, new values are POSTed as { "label": "..." } and the endpoint
+#   responds with the persisted { "value": "7", "label": "Design" }, or the
+#   existing record when the label is already taken.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "tag_ids[]",
+#     label: "Tags",
+#     options: Tag.pluck(:name, :id),
+#     creatable: true,
+#     create_url: tags_path
+#   ) %>
+#
+# @example Single-select combobox
+#   One value is selected, its label is shown in the trigger and a
+#   multi-select:change event is dispatched when it changes.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "project[country]",
+#     label: "Country",
+#     options: [["France", "fr"], ["Germany", "de"], ["Spain", "es"]],
+#     value: "fr",
+#     multiple: false,
+#     clearable: true
+#   ) %>
+#
+# @example Dependent select
+#   Options list the parent values they belong to, and only those of the values
+#   selected in the parent field are offered. Selected regions of a country that
+#   is deselected are dropped, and the field is disabled until a country is chosen.
+#   With search_url, the parent values are sent as parent[] params instead.
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "project[country]",
+#     id: "project_country",
+#     label: "Country",
+#     options: [["France", "fr"], ["Spain", "es"]],
+#     multiple: false
+#   ) %>
+#   <%= render Form::Field::MultiSelectComponent.new(
+#     name: "project[regions][]",
+#     label: "Regions",
+#     options: [["Brittany", "bzh", { parent: "fr" }], ["Catalonia", "cat", { parent: "es" }]],
+#     depends_on: "project_country"
+#   ) %>
+#
 # @example With error state
 #   <%= render Form::Field::MultiSelectComponent.new(
 #     name: "tags[]",
@@ -65,10 +163,12 @@
 #   ) %>
 #
 class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
-  # @param name [String] The field name attribute (required, should end with [])
-  # @param options [Array, Hash] The options (simple array, label-value pairs, or grouped options hash)
+  # @param name [String] The field name attribute (required, should end with [] unless multiple is false)
+  # @param options [Array, Hash] The options (simple array, label-value pairs, or grouped options hash).
+  #   Label-value pairs accept a third element with search keywords and the parent values
+  #   the option belongs to: ["Label", "value", { keywords: "...", parent: "..." }]
   # @param id [String] The field id attribute (defaults to sanitized name)
-  # @param value [Array] The selected values
+  # @param value [Array, String] The selected values (a single value when multiple is false)
   # @param label [String] The label text
   # @param placeholder [String] Placeholder text for the search input
   # @param hint [String] Help text displayed below the field
@@ -76,17 +176,131 @@ class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
   # @param required [Boolean] Whether the field is required
   # @param disabled [Boolean] Whether the field is disabled
   # @param size [Symbol] The field size (:small, :medium, :large)
+  # @param search_url [String] Endpoint options are fetched from as the user types (remote mode)
+  # @param min_query_length [Integer] Number of characters typed before searching in remote mode
+  # @param multiple [Boolean] Whether several values can be selected, false for a single-select combobox
+  # @param clearable [Boolean] Whether a button clears the value (single-select only)
+  # @param reorderable [Boolean] Whether selected tags can be reordered, values are submitted in tag order
+  # @param fuzzy [Boolean] Whether search matches letters in order with gaps, sorting results by relevance
+  # @param virtualized [Boolean] Whether only the options scrolled into view are rendered, for very large lists
+  # @param disabled_options [Array] Values of options that cannot be selected
+  # @param max_selections [Integer] Maximum number of selected values (unlimited when nil)
+  # @param bulk_actions [Boolean] Whether to show "Select all visible" and "Clear all" actions
+  # @param creatable [Boolean] Whether values missing from the options can be added
+  # @param create_url [String] Endpoint new values are persisted to (implies creatable)
+  # @param depends_on [String] Id of the field whose selection filters the options
   # @param html_attributes [Hash] Additional HTML attributes
   def initialize(
     name:,
     options: [],
     placeholder: nil,
+    multiple: true,
+    clearable: false,
+    reorderable: false,
+    fuzzy: false,
+    virtualized: false,
+    disabled_options: [],
+    max_selections: nil,
+    bulk_actions: false,
+    search_url: nil,
+    min_query_length: 0,
+    creatable: false,
+    create_url: nil,
+    depends_on: nil,
     **base_options
   )
     super(name: name, **base_options)
     @options = options
     @placeholder = placeholder || t_component("default_placeholder", default: "Search...")
     @value = Array(@value) # Ensure value is always an array
+    @multiple = multiple
+    @clearable = clearable
+    @reorderable = reorderable
+    @fuzzy = fuzzy
+    @virtualized = virtualized
+    @disabled_options = Array(disabled_options).map(&:to_s)
+    @max_selections = max_selections
+    @bulk_actions = bulk_actions
+    @search_url = search_url
+    @min_query_length = min_query_length
+    @create_url = create_url
+    @creatable = creatable || create_url.present?
+    @depends_on = depends_on
+
+    validate_max_selections!
+    validate_virtualized!
+    validate_single_select!
+  end
+
+  # Check if options are fetched from the search endpoint
+  # @return [Boolean]
+  def remote?
+    @search_url.present?
+  end
+
+  # Check if values missing from the options can be added
+  # @return [Boolean]
+  def creatable?
+    @creatable
+  end
+
+  # Check if the options depend on the selection of another field
+  # @return [Boolean]
+  def dependent?
+    @depends_on.present?
+  end
+
+  # Check if several values can be selected
+  # @return [Boolean]
+  def multiple?
+    @multiple
+  end
+
+  # Check if the single-select clear button is shown
+  # @return [Boolean]
+  def clearable?
+    @clearable && !multiple?
+  end
+
+  # Check if selected tags can be reordered
+  # @return [Boolean]
+  def reorderable?
+    @reorderable
+  end
+
+  # Check if only the options scrolled into view are rendered
+  # @return [Boolean]
+  def virtualized?
+    @virtualized
+  end
+
+  # Check if the "Select all visible" and "Clear all" actions are shown
+  # @return [Boolean]
+  def bulk_actions?
+    @bulk_actions
+  end
+
+  # Check if an option is marked as disabled
+  # @param option_value [String] The value to check
+  # @return [Boolean]
+  def disabled_option?(option_value)
+    @disabled_options.include?(option_value.to_s)
+  end
+
+  # Check if an option cannot be selected, either marked as disabled
+  # or because the selection limit is reached
+  # @param option_value [String] The value to check
+  # @return [Boolean]
+  def option_disabled?(option_value)
+    return true if disabled_option?(option_value)
+
+    max_selections_reached? && !selected?(option_value)
+  end
+
+  # Check if the selection limit is reached
+  # @return [Boolean]
+  def max_selections_reached?
+    @max_selections.present? && @value.size >= @max_selections
   end
 
   # Check if options are grouped (Hash with arrays as values)
@@ -102,17 +316,42 @@ class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
     @value.include?(option_value.to_s)
   end
 
-  # Get all selected options as [label, value] pairs
+  # Get all selected options as [label, value] pairs, in the order of the selected values
   # @return [Array<Array>] Selected [label, value] pairs
   def selected_options
     all_options = grouped_options? ? @options.values.flatten(1) : @options
     normalized = normalize_array_options(all_options)
 
-    normalized.select { |_label, value| selected?(value) }
+    normalized
+      .select { |_label, value| selected?(value) }
+      .sort_by { |_label, value| @value.index(value.to_s) }
+      .map { |label, value| [ label, value ] }
   end
 
   private
 
+  def validate_max_selections!
+    return if @max_selections.nil?
+    return if @max_selections.is_a?(Integer) && @max_selections.positive?
+
+    raise ArgumentError, "max_selections must be a positive integer"
+  end
+
+  def validate_single_select!
+    return if multiple?
+
+    raise ArgumentError, "max_selections requires multiple" if @max_selections
+    raise ArgumentError, "bulk_actions requires multiple" if @bulk_actions
+    raise ArgumentError, "reorderable requires multiple" if @reorderable
+  end
+
+  def validate_virtualized!
+    return unless @virtualized
+
+    raise ArgumentError, "virtualized cannot be combined with grouped options" if grouped_options?
+    raise ArgumentError, "virtualized cannot be combined with search_url" if remote?
+  end
+
   def wrapper_classes
     "form-field"
   end
@@ -138,6 +377,41 @@ class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
     end
   end
 
+  # Values of the hidden inputs, a single one (blank when empty) in single-select mode
+  # @return [Array<String>]
+  def hidden_values
+    multiple? ? @value : [ @value.first.to_s ]
+  end
+
+  # Ids of the elements labelling the trigger, the selected label included in single-select mode
+  # @return [String]
+  def trigger_labelledby
+    ids = []
+    ids << "#{@id}-label" if has_label?
+    ids << "#{@id}-selection" unless multiple?
+    ids.join(" ").presence
+  end
+
+  # Id of the options list, controlled by the trigger and the search input
+  # @return [String]
+  def listbox_id
+    "#{@id}-listbox"
+  end
+
+  def tag_classes
+    classes = [
+      "inline-flex items-center gap-1 px-2 py-0.5",
+      "text-xs font-medium text-blue-700 bg-blue-50 rounded border border-blue-200",
+      "focus:outline-none focus:ring-2 focus:ring-blue-500"
+    ]
+    classes << "cursor-move" if reorderable?
+    classes.join(" ")
+  end
+
+  def reorder_instructions_id
+    "#{@id}-reorder-instructions"
+  end
+
   def dropdown_classes
     [
       "absolute z-10 mt-1 w-full",
@@ -146,9 +420,10 @@ class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
     ].join(" ")
   end
 
-  def option_classes
+  def option_classes(disabled: false)
     [
-      "flex items-center justify-between cursor-pointer",
+      "flex items-center justify-between",
+      disabled ? "opacity-50 cursor-not-allowed" : "cursor-pointer",
       "hover:bg-gray-50 transition-colors duration-150",
       option_size_classes
     ].join(" ")
@@ -226,13 +501,128 @@ class Form::Field::MultiSelectComponent < Form::Field::BaseComponent
     end
   end
 
+  # Data attributes for remote mode
+  # @return [Hash]
+  def remote_data_attributes
+    return {} unless remote?
+
+    {
+      "data-components--multi-select-url-value": @search_url,
+      "data-components--multi-select-min-query-length-value": @min_query_length
+    }
+  end
+
+  # Search keywords of an option
+  # @param attributes [Hash, nil] The option attributes (third element of a label-value pair)
+  # @return [String, nil] Space-separated keywords
+  def option_keywords(attributes)
+    return unless attributes.is_a?(Hash)
+
+    Array(attributes[:keywords]).join(" ").presence
+  end
+
+  # Parent values an option belongs to
+  # @param attributes [Hash, nil] The option attributes (third element of a label-value pair)
+  # @return [Array<String>, nil] nil when the option belongs to every parent
+  def option_parents(attributes)
+    return unless attributes.is_a?(Hash) && attributes.key?(:parent)
+
+    Array(attributes[:parent]).map(&:to_s)
+  end
+
+  # Parent values of an option as the JSON data-parent attribute
+  # @param attributes [Hash, nil] The option attributes
+  # @return [String, nil]
+  def option_parents_json(attributes)
+    option_parents(attributes)&.to_json
+  end
+
+  # Parent values of a selected option, looked up by value for its tag
+  # @param option_value [String] The selected value
+  # @return [String, nil]
+  def selected_option_parents_json(option_value)
+    all_options = grouped_options? ? @options.values.flatten(1) : @options
+    option = normalize_array_options(all_options).find { |_label, value| value.to_s == option_value.to_s }
+
+    option_parents_json(option&.at(2))
+  end
+
+  # Options of a virtualized list, rendered by the Stimulus controller
+  # @return [String] JSON array of { value, label, keywords, disabled, parents }
+  def virtual_options_json
+    normalized_options.map do |label, value, attributes|
+      {
+        value: value.to_s,
+        label: label.to_s,
+        keywords: option_keywords(attributes),
+        disabled: disabled_option?(value) || nil,
+        parents: option_parents(attributes)
+      }.compact
+    end.to_json
+  end
+
+  # Data attributes for the selection limit
+  # @return [Hash]
+  def max_selections_data_attributes
+    return {} if @max_selections.nil?
+
+    {
+      "data-components--multi-select-max-selections-value": @max_selections,
+      "data-components--multi-select-max-selections-message-value": t_component(
+        "max_selections_reached",
+        count: @max_selections,
+        default: "You can select up to %{count} options"
+      )
+    }
+  end
+
+  # Data attributes for dependent mode
+  # @return [Hash]
+  def dependent_data_attributes
+    return {} unless dependent?
+
+    {
+      "data-components--multi-select-depends-on-value": @depends_on,
+      "data-components--multi-select-awaiting-parent-message-value": t_component("awaiting_parent", parent: "%{parent}", default: "Select %{parent} first"),
+      "data-components--multi-select-dropped-message-value": t_component("selection_dropped", labels: "%{labels}", default: "%{labels} no longer available")
+    }
+  end
+
+  # ID of the message shown when a required field is submitted empty
+  # @return [String, nil] nil unless the field is required and has no server error
+  def validation_message_id
+    "#{@id}-validation" if @required && !has_error?
+  end
+
+  # Message shown when a required field is submitted empty
+  # @return [String]
+  def validation_message
+    if multiple?
+      t_component("required_message", default: "Please select at least one option")
+    else
+      t_component("required_single_message", default: "Please select an option")
+    end
+  end
+
+  # Data attributes for creatable mode
+  # @return [Hash]
+  def creatable_data_attributes
+    return {} unless creatable?
+
+    {
+      "data-components--multi-select-creatable-value": true,
+      "data-components--multi-select-create-url-value": @create_url,
+      "data-components--multi-select-create-label-value": t_component("create_option", label: "%{label}", default: 'Create "%{label}"')
+    }.compact
+  end
+
   def field_attributes
     attrs = {
       id: @id,
       required: @required || nil,
       disabled: @disabled || nil,
       "aria-invalid": has_error? ? "true" : nil,
-      "aria-describedby": aria_describedby
+      "aria-describedby": [aria_describedby, validation_message_id].compact.join(" ").presence
     }.compact
 
     merge_html_attributes(attrs)
@@ -12,27 +12,233 @@ import { Controller } from "@hotwired/stimulus"
  * - fileList: Container for displaying selected files
  * - fileItemTemplate: Template for file list items
  * - imagePreviewTemplate: Template for image previews
+ * - pdfPreviewTemplate: Template for PDF first page thumbnails
+ * - videoPreviewTemplate: Template for video poster frame previews
+ * - audioPreviewTemplate: Template for audio previews with a play button
+ * - textPreviewTemplate: Template for the first lines of text and CSV files
  * - fileIconTemplate: Template for file icons
  * - validationError: Container for validation error messages
  * - dropText: Text shown in drop zone
  * - browseButton: Browse button element
+ * - editor: Modal dialog (components--modal) hosting the image editor
+ * - editorCanvas: Canvas showing the crop area in the image editor
+ * - editorZoom: Zoom range input in the image editor
+ * - editorAspectLock: Checkbox toggling the aspect ratio lock in the image editor
+ * - announcer: Live region for screen reader announcements
  *
  * Values:
+ * - translations: Translated messages and size units, merged over `defaultTranslations`
+ * - locale: Locale for plural rules and number formatting (defaults to the page language)
  * - maxSize: Maximum file size in bytes
  * - maxFiles: Maximum number of files (for multiple uploads)
  * - accept: Accepted file types
  * - multiple: Whether multiple files are allowed
- * - preview: Whether to show image previews
+ * - preview: Whether to show previews of images, PDFs, video, audio and text files
+ * - directUploadUrl: Active Storage direct uploads endpoint (enables direct upload mode when set)
+ * - resumableUploadUrl: Resumable upload endpoint taking files in chunks (enables
+ *   direct upload mode when set, instead of `directUploadUrl`)
+ * - chunkSize: Chunk size in bytes for resumable uploads
+ * - maxRetries: Number of retries for a failed upload or chunk before giving up
+ * - maxConcurrentUploads: Number of direct uploads running at the same time
+ * - imageMaxWidth: Maximum width in pixels of processed images (0 for no limit)
+ * - imageMaxHeight: Maximum height in pixels of processed images (0 for no limit)
+ * - imageQuality: Encoding quality between 0 and 1 for processed images
+ * - imageType: Output MIME type of processed images (defaults to the original type)
+ * - stripMetadata: Whether to re-encode images to drop EXIF and other metadata
+ * - cropAspectRatio: Width / height ratio the image editor crop is locked to (0 for none)
+ * - reorderable: Whether files can be reordered by dragging or with Alt+Arrow keys
+ * - positionField: Name of the hidden position field added to each file item (optional)
+ * - pathField: Name of the hidden relative path field added to each file item (optional)
+ * - verifyContent: Whether to check files' leading bytes against their declared type
+ * - minImageDimensions: Minimum `{ width, height }` of images in pixels (optional)
+ * - maxImageDimensions: Maximum `{ width, height }` of images in pixels (optional)
+ * - maxTotalSize: Maximum combined size in bytes of all files (0 for no limit)
+ * - rejectDuplicates: Whether to reject files with the same name, size and content as a listed file
+ * - validators: Names of registered custom validators to run after the built-in ones
+ * - attachments: Files already attached, as `{ name, size, signedId, url, contentType }`
+ * - purgeField: Name of the hidden fields listing the signed ids of removed attachments
+ *
+ * Actions:
+ * - handleDrop: Adds dropped files, walking dropped folders
+ * - handlePaste: Adds files pasted from the clipboard (e.g. screenshots)
+ * - removeFile: Removes a file (aborting its upload) or an attachment, or dismisses a rejected file
+ * - cancelUpload: Stops a queued or running upload, keeping the file for a retry
+ * - retryUpload: Queues a failed or cancelled upload again
+ * - editImage: Opens the image editor for the clicked preview
+ * - rotateImage, zoomImage, toggleAspectLock: Image editor controls
+ * - applyImageEdit: Replaces the file with the edited image
+ * - startReorder, reorderOver, reorderDrop, endReorder: Drag and drop reordering of file items
+ * - handleItemKeydown: Moves a file up or down with Alt+ArrowUp / Alt+ArrowDown
+ * - togglePreviewPlayback: Plays or pauses an audio preview
+ *
+ * Events:
+ * - file-upload:added - Dispatched for each file added to the list
+ * - file-upload:removed - Dispatched for each file removed from the list (with
+ *   `attachment` instead of `file` for existing attachments)
+ * - file-upload:progress - Dispatched while a file is uploading
+ * - file-upload:failed - Dispatched when an upload fails or is cancelled
+ * - file-upload:completed - Dispatched when an upload has finished
+ * - file-upload:moved - Dispatched when a file is moved to another position
+ *
+ * Direct uploads:
+ * When `directUploadUrl` or `resumableUploadUrl` is set, each accepted file is
+ * uploaded as soon as it is added instead of riding along with the form
+ * submit, and a hidden field carrying its signed blob id is added under the
+ * input's name once it is uploaded. Failed requests are retried with
+ * exponential backoff.
+ *
+ * With `directUploadUrl`, files go through Active Storage's `DirectUpload`
+ * (pin "@rails/activestorage"), which checksums the file, creates the blob and
+ * PUTs the whole file to the storage service. Storage services take a single
+ * PUT per object, so a failed upload is retried from the start.
+ *
+ * With `resumableUploadUrl`, large files are sent in chunks so a flaky
+ * connection does not restart them from zero. The endpoint is one of the app,
+ * not an Active Storage route, and speaks this protocol:
+ * 1. POST `{ upload: { filename, content_type, byte_size } }` to
+ *    `resumableUploadUrl`, which responds with `{ url, headers }`
+ * 2. PUT each chunk of `chunkSize` bytes to `url`, in order, with a
+ *    `Content-Range: bytes <first>-<last>/<total>` header. Only a failed chunk
+ *    is retried, and retrying the upload resumes after the last chunk sent
+ * 3. The response to the last chunk is `{ signed_id }`, the id of the blob the
+ *    endpoint assembled from the chunks. An empty PUT whose `Content-Range`
+ *    has `*` as its range asks for it again
+ *
+ * Each file goes through the states queued → uploading → done, or failed when
+ * an upload errors or is cancelled. The state is exposed on the file item as
+ * `data-upload-state`, and buttons marked `data-file-action="cancel"` or
+ * `data-file-action="retry"` are shown only when the action applies.
+ *
+ * The file input loses its name in this mode so raw files are never submitted,
+ * and the owning form cannot be submitted while uploads are still running, or
+ * while failed or cancelled uploads have not been retried or removed.
+ *
+ * Image processing:
+ * When any of the image values is set, accepted JPEG, PNG and WebP images are
+ * drawn onto a canvas before being added: scaled down to fit the maximum
+ * dimensions, re-encoded with `imageQuality`, and converted to `imageType`.
+ * EXIF orientation is applied while decoding, and re-encoding drops all
+ * metadata. The processed file keeps the original name, and the size limit
+ * is checked against the processed result.
+ *
+ * Image editor:
+ * Clicking an image preview opens the `editor` modal. The crop area is the
+ * editor canvas: the image can be rotated by 90°, zoomed, and panned with the
+ * pointer or arrow keys (+/- zoom, R rotates, Enter applies). The crop keeps
+ * `cropAspectRatio` while locked, and the image's own ratio otherwise.
+ *
+ * Reordering:
+ * With `reorderable`, file items can be dragged within the list or moved with
+ * Alt+ArrowUp / Alt+ArrowDown, and every move is announced. `data-file-index`,
+ * the input's files and the signed id fields always follow the list order.
+ * When `positionField` is set, each item also carries a hidden field with the
+ * file's zero-based position so the server can persist the order.
+ *
+ * Folders and clipboard:
+ * Dropped folders are walked recursively through `webkitGetAsEntry`, skipping
+ * hidden and system files, and every file found goes through the same limits
+ * as files added one by one. A file's path relative to the dropped folder is
+ * shown in its item (`data-file-path`) and, when `pathField` is set, submitted
+ * in a hidden field (empty for files that were not in a folder). Files pasted
+ * into the drop zone are added like dropped files.
+ *
+ * Validation:
+ * Every file goes through the registered validators in turn: the built-in
+ * `size`, `type`, `signature`, `dimensions`, `duplicate` and `totalSize`
+ * validators (each one is a no-op unless its value is set), then the custom
+ * validators named in `validators`. A validator is a function, possibly
+ * async, that receives the file and a `{ controller, files }` context, where
+ * `files` are the files accepted so far, and returns an error message or
+ * nothing. The first error rejects the file:
+ *
+ *   import FileUploadController from "controllers/components/file_upload_controller"
+ *
+ *   FileUploadController.registerValidator("notEmpty", (file, { controller }) =>
+ *     file.size === 0 ? controller.t("file_empty", { name: file.name }) : null
+ *   )
+ *
+ * Rejected files stay in the list with their error (`data-file-error`) until
+ * they are dismissed or more files are added. Errors about the list as a
+ * whole, such as `maxFiles`, are shown in `validationError`.
+ *
+ * Existing attachments:
+ * On edit forms, `attachments` lists what the record already has. They are
+ * shown before new files, count against `maxFiles` and `maxTotalSize`, and each
+ * one kept submits its signed id under the input's name. Removed attachments
+ * submit their signed id in a `purgeField` hidden field instead, so the server
+ * can purge them. Selecting a new file for a single upload removes the
+ * attachment it replaces. Attachments are kept apart from `files`, which only
+ * ever holds new `File` objects.
+ *
+ * Previews:
+ * Previews are generated in the browser from object URLs, which are revoked as
+ * soon as their file leaves the list and on disconnect. Images are shown as
+ * is, PDFs as a thumbnail of their first page, videos as a frame from their
+ * first second with their duration, audio files with a play button and their
+ * duration, and text files (including CSV, JSON and Markdown) with their first
+ * lines. Other files get the generic file icon.
+ *
+ * PDF thumbnails are drawn with pdf.js, imported on the first PDF preview as
+ * `PREVIEW.pdfModule`. Its worker is set once to `PREVIEW.pdfWorkerModule`,
+ * unless the app already set `GlobalWorkerOptions.workerSrc`, so the app pins
+ * both "pdfjs-dist" and "pdfjs-dist/build/pdf.worker.mjs" to enable them.
+ * PDFs keep the file icon when pdf.js is missing or cannot read the file.
+ *
+ * Translations:
+ * Messages come from the component's locale files through the `translations`
+ * value, falling back to the English `defaultTranslations` so the controller
+ * also works on its own. They are looked up with `t(key, replacements)`, which
+ * replaces `%{placeholder}` markers and, for entries with plural forms, picks
+ * the form for `count` with the locale's plural rules. Sizes are formatted with
+ * `Intl.NumberFormat` and the Rails storage units passed by the component.
  */
 export default class extends Controller {
-  // Error message templates (ready for i18n integration)
-  static MESSAGES = {
-    maxFilesExceeded: (max) => `Maximum ${max} files allowed`,
-    partialUpload: (added, total, max) =>
-      `Only ${added} of ${total} files added. Maximum ${max} files allowed.`,
-    fileSizeExceeded: (name, size) => `"${name}" exceeds maximum size of ${size}`,
-    fileTypeNotAllowed: (name) => `"${name}" is not an allowed file type`
+  // Base delay before retrying a failed upload, doubled on each attempt
+  static RETRY_BASE_DELAY = 1000
+
+  // Module providing DirectUpload, imported on the first Active Storage upload
+  static ACTIVE_STORAGE_MODULE = "@rails/activestorage"
+
+  static defaultTranslations = {
+    max_files_exceeded: {
+      one: "Maximum %{count} file allowed",
+      other: "Maximum %{count} files allowed"
+    },
+    partial_upload: {
+      one: "Only %{added} of %{total} files added. Maximum %{count} file allowed.",
+      other: "Only %{added} of %{total} files added. Maximum %{count} files allowed."
+    },
+    file_size_exceeded: "\"%{name}\" exceeds maximum size of %{size}",
+    file_type_not_allowed: "\"%{name}\" is not an allowed file type",
+    upload_queued: "Waiting…",
+    uploading: "Uploading… %{percent}%",
+    upload_complete: "Uploaded",
+    upload_failed: "Upload failed",
+    upload_cancelled: "Upload cancelled",
+    uploads_in_progress: "Please wait until all files have finished uploading",
+    uploads_failed: "Some files were not uploaded. Retry or remove them before submitting",
+    file_moved: "\"%{name}\" moved to position %{position} of %{total}",
+    folder_read_failed: "Could not read the folder \"%{name}\"",
+    content_mismatch: "\"%{name}\" does not match its file type",
+    image_unreadable: "\"%{name}\" is not a valid image",
+    image_too_small: "\"%{name}\" must be at least %{width}×%{height} pixels",
+    image_too_large: "\"%{name}\" must be at most %{width}×%{height} pixels",
+    duplicate_file: "\"%{name}\" has already been added",
+    total_size_exceeded: "\"%{name}\" would exceed the total size limit of %{size}",
+    validation_failed: "\"%{name}\" could not be validated",
+    files_rejected: {
+      one: "%{count} file could not be added",
+      other: "%{count} files could not be added"
+    },
+    storage_format: "%n %u",
+    storage_units: {
+      byte: { one: "Byte", other: "Bytes" },
+      kb: "KB",
+      mb: "MB",
+      gb: "GB"
+    }
   }
+
   static targets = [
     "input",
     "dropZone",
@@ -40,28 +246,171 @@ export default class extends Controller {
     "fileList",
     "fileItemTemplate",
     "imagePreviewTemplate",
+    "pdfPreviewTemplate",
+    "videoPreviewTemplate",
+    "audioPreviewTemplate",
+    "textPreviewTemplate",
     "fileIconTemplate",
     "validationError",
     "dropText",
     "browseButton",
     "iconContainer",
     "textContainer",
-    "restrictions"
+    "restrictions",
+    "editor",
+    "editorCanvas",
+    "editorZoom",
+    "editorAspectLock",
+    "announcer"
   ]
 
   static values = {
+    translations: { type: Object, default: {} },
+    locale: { type: String, default: "" },
     maxSize: { type: Number, default: 10485760 }, // 10MB
     maxFiles: { type: Number, default: 10 },
     accept: { type: String, default: "" },
     multiple: { type: Boolean, default: false },
-    preview: { type: Boolean, default: true }
+    preview: { type: Boolean, default: true },
+    directUploadUrl: { type: String, default: "" },
+    resumableUploadUrl: { type: String, default: "" },
+    chunkSize: { type: Number, default: 5242880 }, // 5MB
+    maxRetries: { type: Number, default: 3 },
+    maxConcurrentUploads: { type: Number, default: 3 },
+    imageMaxWidth: { type: Number, default: 0 },
+    imageMaxHeight: { type: Number, default: 0 },
+    imageQuality: { type: Number, default: 0.85 },
+    imageType: { type: String, default: "" },
+    stripMetadata: { type: Boolean, default: false },
+    cropAspectRatio: { type: Number, default: 0 },
+    reorderable: { type: Boolean, default: false },
+    positionField: { type: String, default: "" },
+    pathField: { type: String, default: "" },
+    verifyContent: { type: Boolean, default: false },
+    minImageDimensions: { type: Object, default: {} },
+    maxImageDimensions: { type: Object, default: {} },
+    maxTotalSize: { type: Number, default: 0 },
+    rejectDuplicates: { type: Boolean, default: false },
+    validators: { type: Array, default: [] },
+    attachments: { type: Array, default: [] },
+    purgeField: { type: String, default: "" }
+  }
+
+  // Validators every file goes through, before the custom ones
+  static BUILT_IN_VALIDATORS = ["size", "type", "signature", "dimensions", "duplicate", "totalSize"]
+
+  // Registered validators by name, see registerValidator
+  static validators = new Map([
+    ["size", (file, { controller }) => controller.validateSize(file)],
+    ["type", (file, { controller }) => controller.validateType(file)],
+    ["signature", (file, { controller }) => controller.validateSignature(file)],
+    ["dimensions", (file, { controller }) => controller.validateDimensions(file)],
+    ["duplicate", (file, { controller, files }) => controller.validateDuplicate(file, files)],
+    ["totalSize", (file, { controller, files }) => controller.validateTotalSize(file, files)]
+  ])
+
+  // Leading bytes identifying each format checked by the signature validator
+  static SIGNATURES = {
+    "image/png": [{ offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }],
+    "image/jpeg": [{ offset: 0, bytes: [0xff, 0xd8, 0xff] }],
+    "image/gif": [{ offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }],
+    "image/webp": [
+      { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] },
+      { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }
+    ],
+    "application/pdf": [{ offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }],
+    "application/zip": [{ offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] }]
+  }
+
+  // Extensions of the formats checked by the signature validator, including
+  // office documents stored as ZIP archives
+  static SIGNATURE_EXTENSIONS = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    pdf: "application/pdf",
+    zip: "application/zip",
+    docx: "application/zip",
+    xlsx: "application/zip",
+    pptx: "application/zip",
+    odt: "application/zip",
+    ods: "application/zip"
+  }
+
+  /**
+   * Register a validator that can be enabled with the `validators` value
+   * @param {string} name - Name of the validator
+   * @param {Function} validator - `(file, { controller, files }) => string | null`, possibly async
+   */
+  static registerValidator(name, validator) {
+    this.validators.set(name, validator)
+  }
+
+  // Image editor settings
+  static EDITOR = {
+    canvasWidth: 480,
+    minZoom: 1,
+    maxZoom: 3,
+    zoomStep: 0.1,
+    // Share of the crop area moved by one arrow key press
+    panStep: 0.05
+  }
+
+  // Image types the canvas pipeline can decode and re-encode without losing
+  // animation or vector data
+  static PROCESSABLE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"]
+
+  // Preview settings
+  static PREVIEW = {
+    // Bytes read from text files for their first lines
+    textBytes: 1024,
+    textLines: 3,
+    // Second of a video shown as its poster frame, capped to the video length
+    posterTime: 1,
+    // Module imported to render PDF thumbnails, its worker, and the thumbnails'
+    // longest side in pixels
+    pdfModule: "pdfjs-dist",
+    pdfWorkerModule: "pdfjs-dist/build/pdf.worker.mjs",
+    pdfThumbnailSize: 80
   }
 
+  // Extensions previewed as text whatever their MIME type
+  static TEXT_EXTENSIONS = ["txt", "csv", "tsv", "md", "json", "log"]
+
+  // System files skipped when walking dropped folders (dotfiles are always skipped)
+  static IGNORED_FILE_NAMES = ["Thumbs.db", "desktop.ini", "Icon\r", "__MACOSX"]
+
   connect() {
     this.files = []
     this.dragCounter = 0
-    this.previewUrls = []
+    // Object URLs of file previews, keyed by file
+    this.previewUrls = new Map()
+    // PDF first page thumbnail promises, keyed by file
+    this.pdfThumbnails = new WeakMap()
     this.isSyncing = false
+    this.uploads = new Map()
+    // Batches of added files, processed one after the other
+    this.processing = Promise.resolve()
+    // Paths relative to a dropped folder, keyed by file
+    this.relativePaths = new WeakMap()
+    // Content hash promises for duplicate detection, keyed by file
+    this.fileHashes = new WeakMap()
+    // Files rejected by validation, shown in the list with their error
+    this.rejections = []
+    // Files attached before the page loaded, and the ones removed since
+    this.attachments = [...this.attachmentsValue]
+    this.removedAttachments = []
+
+    if (this.isDirectUpload()) {
+      this.prepareDirectUpload()
+    }
+
+    if (this.attachments.length > 0) {
+      this.updateFileList()
+      this.updateDropZoneVisibility()
+    }
 
     // Prevent default drag behavior on document to stop file opening
     this.handleDocumentDragOver = this.preventDefaultDrag.bind(this)
@@ -74,7 +423,15 @@ export default class extends Controller {
     this.files = []
     // Clean up object URLs to prevent memory leaks
     this.previewUrls.forEach(url => URL.revokeObjectURL(url))
-    this.previewUrls = []
+    this.previewUrls.clear()
+
+    // Abort uploads still in flight
+    this.uploads.forEach(upload => this.abortUpload(upload))
+    this.uploads.clear()
+    this.form?.removeEventListener("submit", this.handleFormSubmit)
+
+    this.editor?.bitmap.close()
+    this.editor = null
 
     // Remove document-level event listeners
     document.removeEventListener('dragover', this.handleDocumentDragOver)
@@ -209,32 +566,193 @@ export default class extends Controller {
     this.dragCounter = 0
     this.hideDragOverlay()
 
-    const files = Array.from(event.dataTransfer.files)
+    // Entries must be read before the handler returns, the data transfer is
+    // emptied afterwards
+    const entries = Array.from(event.dataTransfer.items || [])
+      .filter(item => item.kind === "file")
+      .map(item => item.webkitGetAsEntry?.())
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+      this.processFiles(Array.from(event.dataTransfer.files))
+      return
+    }
+
+    this.processEntries(entries)
+  }
+
+  /**
+   * Handle files pasted into the drop zone
+   * @param {ClipboardEvent} event - The paste event
+   */
+  handlePaste(event) {
+    if (this.inputTarget?.disabled) return
+
+    const files = Array.from(event.clipboardData?.files || [])
+    // Let plain text pastes through
+    if (files.length === 0) return
+
+    event.preventDefault()
     this.processFiles(files)
   }
 
   /**
-   * Process selected files
+   * Collect files from dropped entries, walking folders, and process them
+   * @param {FileSystemEntry[]} entries - The dropped entries
+   */
+  async processEntries(entries) {
+    const files = []
+    const errors = []
+
+    for (const entry of entries) {
+      try {
+        files.push(...await this.readEntry(entry))
+      } catch {
+        errors.push(this.t("folder_read_failed", { name: entry.name }))
+      }
+    }
+
+    await this.processFiles(files)
+
+    // Keep validation errors raised while processing the files found
+    if (errors.length > 0) {
+      const current = this.hasValidationErrorTarget ? this.validationErrorTarget.textContent : ""
+      this.showValidationError([...errors, current].filter(Boolean).join(". "))
+    }
+  }
+
+  /**
+   * Read the files of an entry, recursing into folders
+   * @param {FileSystemEntry} entry - The entry to read
+   * @returns {Promise<File[]>} Files found, with their relative path recorded
+   */
+  async readEntry(entry) {
+    if (this.isIgnoredEntry(entry)) return []
+
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+      // Top-level files keep an empty path, "/folder/photo.jpg" becomes "folder/photo.jpg"
+      if (entry.fullPath.lastIndexOf("/") > 0) {
+        this.relativePaths.set(file, entry.fullPath.replace(/^\//, ""))
+      }
+      return [file]
+    }
+
+    const files = []
+    for (const child of await this.readDirectoryEntries(entry)) {
+      files.push(...await this.readEntry(child))
+    }
+    return files
+  }
+
+  /**
+   * Read all entries of a folder, which are returned in batches
+   * @param {FileSystemDirectoryEntry} directory - The folder entry
+   * @returns {Promise<FileSystemEntry[]>}
+   */
+  async readDirectoryEntries(directory) {
+    const reader = directory.createReader()
+    const entries = []
+
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+      if (batch.length === 0) return entries
+      entries.push(...batch)
+    }
+  }
+
+  /**
+   * Whether an entry is a hidden or system file or folder
+   * @param {FileSystemEntry} entry - The entry to check
+   * @returns {boolean}
+   */
+  isIgnoredEntry(entry) {
+    return entry.name.startsWith(".") || this.constructor.IGNORED_FILE_NAMES.includes(entry.name)
+  }
+
+  /**
+   * Path of a file relative to its dropped folder
+   * @param {File} file - The file
+   * @returns {string} The relative path, empty when the file was not in a folder
+   */
+  relativePath(file) {
+    return this.relativePaths.get(file) || file.webkitRelativePath || ""
+  }
+
+  /**
+   * Carry the relative path of a file over to its replacement
+   * @param {File} original - The original file
+   * @param {File} replacement - The processed or edited file
+   */
+  keepRelativePath(original, replacement) {
+    const path = this.relativePath(original)
+    if (path && replacement !== original) this.relativePaths.set(replacement, path)
+  }
+
+  /**
+   * Process selected files once the batches added before are done, so the
+   * limits are checked against the files those batches added
    * @param {File[]} newFiles - Array of files to process
+   * @returns {Promise<void>} Settles once the files are processed
    */
   processFiles(newFiles) {
+    this.processing = this.processing
+      .then(() => this.addFiles(newFiles))
+      .catch(() => this.showValidationError(this.t("files_rejected", { count: newFiles.length })))
+
+    return this.processing
+  }
+
+  /**
+   * Process, validate and list new files
+   * @param {File[]} newFiles - Array of files to process
+   */
+  async addFiles(newFiles) {
     this.clearValidationError()
 
-    // Filter and validate files
-    const validFiles = this.validateFiles(newFiles)
+    // Reject files of the wrong type, and files too large that processing will
+    // not shrink, before decoding any image
+    const prechecked = newFiles.map(file => ({
+      file,
+      error: this.validateType(file) || (this.isProcessableImage(file) ? null : this.validateSize(file))
+    }))
+
+    // Resize and re-encode images before validation so limits apply to the result
+    const files = await Promise.all(prechecked.filter(({ error }) => !error).map(async ({ file }) => {
+      const processed = await this.processImage(file)
+      this.keepRelativePath(file, processed)
+      return processed
+    }))
+
+    // Filter and validate files, against the listed files unless they are replaced
+    const { accepted: validFiles, rejected } = await this.validateFiles(
+      files,
+      this.multipleValue ? this.files : []
+    )
+    this.rejections = [...prechecked.filter(({ error }) => error), ...rejected]
+
+    if (this.rejections.length > 0) {
+      this.announce(this.t("files_rejected", { count: this.rejections.length }))
+    }
+
+    if (validFiles.length === 0) {
+      this.updateFileList()
+      return
+    }
 
-    if (validFiles.length === 0) return
+    const previousFiles = this.files
 
     // If not multiple, replace existing files
     if (!this.multipleValue) {
       this.files = validFiles.slice(0, 1)
+      this.attachments.forEach(attachment => this.removeAttachment(attachment))
     } else {
-      // Check max files limit
-      const remainingSlots = this.maxFilesValue - this.files.length
+      // Check max files limit, existing attachments included
+      const remainingSlots = this.maxFilesValue - this.files.length - this.attachments.length
       if (remainingSlots <= 0) {
         this.showValidationError(
-          this.constructor.MESSAGES.maxFilesExceeded(this.maxFilesValue)
+          this.t("max_files_exceeded", { count: this.maxFilesValue })
         )
+        this.updateFileList()
         return
       }
 
@@ -243,55 +761,243 @@ export default class extends Controller {
 
       if (validFiles.length > filesToAdd.length) {
         this.showValidationError(
-          this.constructor.MESSAGES.partialUpload(
-            filesToAdd.length,
-            validFiles.length,
-            this.maxFilesValue
-          )
+          this.t("partial_upload", {
+            added: filesToAdd.length,
+            total: validFiles.length,
+            count: this.maxFilesValue
+          })
         )
       }
     }
 
+    this.releaseRemovedUploads()
     this.updateFileList()
     this.updateDropZoneVisibility()
     this.syncFilesToInput()
+
+    previousFiles
+      .filter(file => !this.files.includes(file))
+      .forEach(file => this.dispatchFileEvent("removed", file))
+    this.files
+      .filter(file => !previousFiles.includes(file))
+      .forEach(file => this.dispatchFileEvent("added", file))
+
+    this.startUploads()
   }
 
   /**
    * Validate files against constraints
    * @param {File[]} files - Files to validate
-   * @returns {File[]} Valid files
+   * @param {File[]} existing - Files already in the list
+   * @returns {Promise<{accepted: File[], rejected: {file: File, error: string}[]}>}
    */
-  validateFiles(files) {
-    const validFiles = []
-    const errors = []
+  async validateFiles(files, existing = this.files) {
+    const accepted = []
+    const rejected = []
 
+    // One file at a time so batch-wide checks see the files accepted before it
     for (const file of files) {
-      // Check file size
-      if (file.size > this.maxSizeValue) {
-        errors.push(
-          this.constructor.MESSAGES.fileSizeExceeded(
-            file.name,
-            this.formatFileSize(this.maxSizeValue)
-          )
-        )
-        continue
+      const error = await this.validateFile(file, {
+        controller: this,
+        files: [...existing, ...accepted]
+      })
+
+      if (error) {
+        rejected.push({ file, error })
+      } else {
+        accepted.push(file)
       }
+    }
 
-      // Check file type
-      if (this.acceptValue && !this.isFileTypeAllowed(file)) {
-        errors.push(this.constructor.MESSAGES.fileTypeNotAllowed(file.name))
-        continue
+    return { accepted, rejected }
+  }
+
+  /**
+   * Run a file through the built-in and custom validators
+   * @param {File} file - File to validate
+   * @param {Object} context - Validation context passed to validators
+   * @returns {Promise<string|null>} The first error, or null when the file is valid
+   */
+  async validateFile(file, context) {
+    const names = [...this.constructor.BUILT_IN_VALIDATORS, ...this.validatorsValue]
+
+    for (const name of names) {
+      // Names no validator was registered under are skipped
+      const validator = this.constructor.validators.get(name)
+      if (!validator) continue
+
+      try {
+        const error = await validator(file, context)
+        if (error) return error
+      } catch {
+        return this.t("validation_failed", { name: file.name })
       }
+    }
+
+    return null
+  }
+
+  /**
+   * Check the file size limit
+   * @param {File} file - File to check
+   * @returns {string|null} Error message
+   */
+  validateSize(file) {
+    if (file.size <= this.maxSizeValue) return null
+
+    return this.t("file_size_exceeded", {
+      name: file.name,
+      size: this.formatFileSize(this.maxSizeValue)
+    })
+  }
+
+  /**
+   * Check the file type against `accept`
+   * @param {File} file - File to check
+   * @returns {string|null} Error message
+   */
+  validateType(file) {
+    if (this.isFileTypeAllowed(file)) return null
+
+    return this.t("file_type_not_allowed", { name: file.name })
+  }
+
+  /**
+   * Check that the file's leading bytes match its declared type, as the type
+   * and extension are set by the client and trivially spoofed
+   * @param {File} file - File to check
+   * @returns {Promise<string|null>} Error message
+   */
+  async validateSignature(file) {
+    if (!this.verifyContentValue) return null
 
-      validFiles.push(file)
+    const formats = this.declaredFormats(file)
+    if (formats.length === 0) return null
+
+    const header = new Uint8Array(await file.slice(0, 16).arrayBuffer())
+    const matches = (format) => this.constructor.SIGNATURES[format].every(({ offset, bytes }) =>
+      bytes.every((byte, i) => header[offset + i] === byte)
+    )
+
+    return formats.every(matches) ? null : this.t("content_mismatch", { name: file.name })
+  }
+
+  /**
+   * Formats with a known signature that a file claims through its type or extension
+   * @param {File} file - The file
+   * @returns {string[]} Format keys of SIGNATURES
+   */
+  declaredFormats(file) {
+    const { SIGNATURES, SIGNATURE_EXTENSIONS } = this.constructor
+    const formats = new Set()
+    const type = file.type.toLowerCase()
+
+    if (SIGNATURES[type]) {
+      formats.add(type)
+    } else if (
+      type === "application/x-zip-compressed" ||
+      type.startsWith("application/vnd.openxmlformats-officedocument.") ||
+      type.startsWith("application/vnd.oasis.opendocument.")
+    ) {
+      formats.add("application/zip")
     }
 
-    if (errors.length > 0) {
-      this.showValidationError(errors.join(". "))
+    const extension = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : ""
+    if (SIGNATURE_EXTENSIONS[extension]) formats.add(SIGNATURE_EXTENSIONS[extension])
+
+    return [...formats]
+  }
+
+  /**
+   * Check image dimensions against `minImageDimensions` and `maxImageDimensions`
+   * @param {File} file - File to check
+   * @returns {Promise<string|null>} Error message
+   */
+  async validateDimensions(file) {
+    const min = this.minImageDimensionsValue
+    const max = this.maxImageDimensionsValue
+    if (!min.width && !min.height && !max.width && !max.height) return null
+    // Vector images have no intrinsic pixel size
+    if (!this.isImageFile(file) || file.type === "image/svg+xml") return null
+
+    let bitmap
+    try {
+      bitmap = await createImageBitmap(file)
+    } catch {
+      return this.t("image_unreadable", { name: file.name })
+    }
+
+    const { width, height } = bitmap
+    bitmap.close()
+
+    if (width < (min.width || 0) || height < (min.height || 0)) {
+      return this.t("image_too_small", { name: file.name, width: min.width || 0, height: min.height || 0 })
+    }
+
+    if ((max.width && width > max.width) || (max.height && height > max.height)) {
+      return this.t("image_too_large", { name: file.name, width: max.width || width, height: max.height || height })
+    }
+
+    return null
+  }
+
+  /**
+   * Check that no listed file has the same name, size and content
+   * @param {File} file - File to check
+   * @param {File[]} files - Files accepted so far
+   * @returns {Promise<string|null>} Error message
+   */
+  async validateDuplicate(file, files) {
+    if (!this.rejectDuplicatesValue) return null
+
+    const candidates = files.filter(other => other.name === file.name && other.size === file.size)
+    if (candidates.length === 0) return null
+
+    // Hashing needs a secure context, fall back to name and size alone
+    if (!window.crypto?.subtle) return this.t("duplicate_file", { name: file.name })
+
+    const hash = await this.fileHash(file)
+    for (const other of candidates) {
+      if (await this.fileHash(other) === hash) {
+        return this.t("duplicate_file", { name: file.name })
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Check the combined size of the listed files against `maxTotalSize`
+   * @param {File} file - File to check
+   * @param {File[]} files - Files accepted so far
+   * @returns {string|null} Error message
+   */
+  validateTotalSize(file, files) {
+    if (!this.maxTotalSizeValue) return null
+
+    const total = [...this.attachments, ...files].reduce((sum, other) => sum + other.size, file.size)
+    if (total <= this.maxTotalSizeValue) return null
+
+    return this.t("total_size_exceeded", {
+      name: file.name,
+      size: this.formatFileSize(this.maxTotalSizeValue)
+    })
+  }
+
+  /**
+   * SHA-256 hash of a file's content, computed once per file
+   * @param {File} file - The file
+   * @returns {Promise<string>} Hex encoded hash
+   */
+  fileHash(file) {
+    if (!this.fileHashes.has(file)) {
+      const hash = file.arrayBuffer()
+        .then(buffer => crypto.subtle.digest("SHA-256", buffer))
+        .then(digest => Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join(""))
+      this.fileHashes.set(file, hash)
     }
 
-    return validFiles
+    return this.fileHashes.get(file)
   }
 
   /**
@@ -331,45 +1037,241 @@ export default class extends Controller {
 
     // Clear existing list
     this.fileListTarget.innerHTML = ""
+    this.releasePreviewUrls()
 
     // Show or hide file list
-    if (this.files.length === 0) {
+    if (this.files.length === 0 && this.rejections.length === 0 && this.attachments.length === 0) {
       this.fileListTarget.classList.add("hidden")
       return
     }
 
     this.fileListTarget.classList.remove("hidden")
 
+    // Add existing attachments before new files
+    this.attachments.forEach((attachment, index) => {
+      this.fileListTarget.appendChild(this.buildAttachmentItem(attachment, index))
+    })
+
     // Add file items
     this.files.forEach((file, index) => {
-      const template = this.fileItemTemplateTarget.content.cloneNode(true)
-      const item = template.querySelector("[data-file-item]")
+      const item = this.buildFileItem(file, this.previewValue)
 
       // Set file index for removal
       item.dataset.fileIndex = index
 
-      // Set file name
-      const nameEl = item.querySelector("[data-file-name]")
-      if (nameEl) nameEl.textContent = file.name
+      if (this.reorderableValue) {
+        item.draggable = true
+      }
 
-      // Set file size
-      const sizeEl = item.querySelector("[data-file-size]")
-      if (sizeEl) sizeEl.textContent = this.formatFileSize(file.size)
+      if (this.positionFieldValue) {
+        const positionInput = document.createElement("input")
+        positionInput.type = "hidden"
+        positionInput.name = this.positionFieldValue
+        positionInput.value = index
+        positionInput.dataset.filePosition = ""
+        item.appendChild(positionInput)
+      }
 
-      // Add preview
-      const previewContainer = item.querySelector("[data-preview-container]")
-      if (previewContainer) {
-        if (this.previewValue && this.isImageFile(file)) {
-          this.addImagePreview(file, previewContainer)
-        } else {
-          this.addFileIcon(previewContainer)
-        }
+      if (this.pathFieldValue) {
+        const pathInput = document.createElement("input")
+        pathInput.type = "hidden"
+        pathInput.name = this.pathFieldValue
+        pathInput.value = this.relativePath(file)
+        pathInput.dataset.filePathField = ""
+        item.appendChild(pathInput)
+      }
+
+      this.fileListTarget.appendChild(item)
+      this.renderUploadState(file)
+    })
+
+    // Add rejected files after the accepted ones
+    this.rejections.forEach(({ file, error }, index) => {
+      const item = this.buildFileItem(file, false)
+
+      item.dataset.rejectedIndex = index
+      item.classList.add("ring-1", "ring-red-300", "bg-red-50")
+      // Rejected files cannot be moved or uploaded
+      item.querySelectorAll("[data-drag-handle], [data-file-progress], [data-file-action]")
+        .forEach(el => el.remove())
+
+      const errorEl = item.querySelector("[data-file-error]")
+      if (errorEl) {
+        errorEl.textContent = error
+        errorEl.classList.remove("hidden")
       }
 
-      this.fileListTarget.appendChild(template)
+      this.fileListTarget.appendChild(item)
     })
   }
 
+  /**
+   * Build a list item for an existing attachment
+   * @param {Object} attachment - The attachment
+   * @param {number} index - Index of the attachment
+   * @returns {Element} The attachment item
+   */
+  buildAttachmentItem(attachment, index) {
+    const item = this.buildFileItem(attachment, false)
+
+    item.dataset.attachmentIndex = index
+    // Attachments are already uploaded and keep their place
+    item.querySelectorAll("[data-drag-handle], [data-file-progress], [data-file-action]")
+      .forEach(el => el.remove())
+
+    const previewContainer = item.querySelector("[data-preview-container]")
+    const isImage = attachment.contentType?.startsWith("image/")
+    if (previewContainer && this.previewValue && isImage && attachment.url && this.hasImagePreviewTemplateTarget) {
+      const template = this.imagePreviewTemplateTarget.content.cloneNode(true)
+      const img = template.querySelector("[data-preview-image]")
+      img.src = attachment.url
+      img.alt = attachment.name
+      // Attachments cannot be edited, only replaced
+      template.querySelector("button")?.replaceWith(img)
+
+      previewContainer.innerHTML = ""
+      previewContainer.appendChild(template)
+    }
+
+    // Keep the attachment when the form is submitted
+    const signedIdInput = document.createElement("input")
+    signedIdInput.type = "hidden"
+    signedIdInput.name = this.fieldName || this.inputTarget.name
+    signedIdInput.value = attachment.signedId
+    signedIdInput.dataset.attachmentSignedId = ""
+    item.appendChild(signedIdInput)
+
+    return item
+  }
+
+  /**
+   * Build a list item for a file from the template
+   * @param {File} file - The file
+   * @param {boolean} preview - Whether to show a preview
+   * @returns {Element} The file item
+   */
+  buildFileItem(file, preview) {
+    const template = this.fileItemTemplateTarget.content.cloneNode(true)
+    const item = template.querySelector("[data-file-item]")
+
+    // Set file name
+    const nameEl = item.querySelector("[data-file-name]")
+    if (nameEl) nameEl.textContent = file.name
+
+    // Set file size
+    const sizeEl = item.querySelector("[data-file-size]")
+    if (sizeEl) sizeEl.textContent = this.formatFileSize(file.size)
+
+    // Show the folder path of files dropped as part of a folder
+    const path = this.relativePath(file)
+    const pathEl = item.querySelector("[data-file-path]")
+    if (pathEl && path) {
+      pathEl.textContent = path
+      pathEl.classList.remove("hidden")
+    }
+
+    // Add preview
+    const previewContainer = item.querySelector("[data-preview-container]")
+    if (previewContainer) {
+      if (preview) {
+        this.addPreview(file, previewContainer, item)
+      } else {
+        this.addFileIcon(previewContainer)
+      }
+    }
+
+    return item
+  }
+
+  /**
+   * Whether a file goes through the canvas pipeline when added
+   * @param {File} file - The file
+   * @returns {boolean}
+   */
+  isProcessableImage(file) {
+    return this.isImageProcessingEnabled() && this.constructor.PROCESSABLE_IMAGE_TYPES.includes(file.type)
+  }
+
+  /**
+   * Whether any image processing option is enabled
+   * @returns {boolean}
+   */
+  isImageProcessingEnabled() {
+    return this.imageMaxWidthValue > 0 ||
+      this.imageMaxHeightValue > 0 ||
+      this.hasImageQualityValue ||
+      this.imageTypeValue !== "" ||
+      this.stripMetadataValue
+  }
+
+  /**
+   * Run an image through the canvas pipeline
+   * Returns the original file when it is not a processable image, when
+   * processing fails, or when processing would not improve it
+   * @param {File} file - File to process
+   * @returns {Promise<File>} The processed file
+   */
+  async processImage(file) {
+    if (!this.isProcessableImage(file)) return file
+
+    let bitmap
+    try {
+      // "from-image" applies the EXIF orientation while decoding
+      bitmap = await createImageBitmap(file, { imageOrientation: "from-image" })
+
+      const { width, height } = this.fitImageDimensions(bitmap.width, bitmap.height)
+      const resized = width !== bitmap.width || height !== bitmap.height
+      const type = this.imageTypeValue || file.type
+
+      const canvas = document.createElement("canvas")
+      canvas.width = width
+      canvas.height = height
+
+      const context = canvas.getContext("2d")
+      // JPEG has no alpha channel, so flatten transparency onto white
+      if (type === "image/jpeg") {
+        context.fillStyle = "#ffffff"
+        context.fillRect(0, 0, width, height)
+      }
+      context.drawImage(bitmap, 0, 0, width, height)
+
+      const blob = await new Promise(resolve => {
+        canvas.toBlob(resolve, type, this.imageQualityValue)
+      })
+      if (!blob) return file
+
+      // Keep the original when only re-compressing and the result is not smaller
+      const required = resized || blob.type !== file.type || this.stripMetadataValue
+      if (!required && blob.size >= file.size) return file
+
+      return new File([blob], file.name, {
+        type: blob.type,
+        lastModified: file.lastModified
+      })
+    } catch {
+      return file
+    } finally {
+      bitmap?.close()
+    }
+  }
+
+  /**
+   * Scale dimensions down to fit the maximum width and height, keeping the ratio
+   * @param {number} width - Original width
+   * @param {number} height - Original height
+   * @returns {{width: number, height: number}} Fitted dimensions
+   */
+  fitImageDimensions(width, height) {
+    const maxWidth = this.imageMaxWidthValue > 0 ? this.imageMaxWidthValue : width
+    const maxHeight = this.imageMaxHeightValue > 0 ? this.imageMaxHeightValue : height
+    const scale = Math.min(maxWidth / width, maxHeight / height, 1)
+
+    return {
+      width: Math.max(Math.round(width * scale), 1),
+      height: Math.max(Math.round(height * scale), 1)
+    }
+  }
+
   /**
    * Check if file is an image
    * @param {File} file - File to check
@@ -379,6 +1281,75 @@ export default class extends Controller {
     return file.type.startsWith("image/")
   }
 
+  /**
+   * Check if file is a PDF
+   * @param {File} file - File to check
+   * @returns {boolean}
+   */
+  isPdfFile(file) {
+    return file.type === "application/pdf" || file.name.toLowerCase().endsWith(".pdf")
+  }
+
+  /**
+   * Check if file is plain text, such as CSV or JSON
+   * @param {File} file - File to check
+   * @returns {boolean}
+   */
+  isTextFile(file) {
+    const extension = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : ""
+
+    return file.type.startsWith("text/") ||
+      file.type === "application/json" ||
+      this.constructor.TEXT_EXTENSIONS.includes(extension)
+  }
+
+  /**
+   * Add the preview matching the file's type, or the file icon
+   * @param {File} file - The file
+   * @param {Element} container - Preview container
+   * @param {Element} item - File item the preview belongs to
+   */
+  addPreview(file, container, item) {
+    if (this.isImageFile(file)) {
+      this.addImagePreview(file, container)
+    } else if (this.isPdfFile(file) && this.hasPdfPreviewTemplateTarget) {
+      this.addPdfPreview(file, container)
+    } else if (file.type.startsWith("video/") && this.hasVideoPreviewTemplateTarget) {
+      this.addMediaPreview(file, container, this.videoPreviewTemplateTarget, "[data-preview-video]")
+    } else if (file.type.startsWith("audio/") && this.hasAudioPreviewTemplateTarget) {
+      this.addMediaPreview(file, container, this.audioPreviewTemplateTarget, "[data-preview-audio]")
+    } else if (this.isTextFile(file) && this.hasTextPreviewTemplateTarget) {
+      this.addTextPreview(file, container, item)
+    } else {
+      this.addFileIcon(container)
+    }
+  }
+
+  /**
+   * Object URL of a file for previews, created once per file
+   * @param {File} file - The file
+   * @returns {string} The object URL
+   */
+  previewUrl(file) {
+    if (!this.previewUrls.has(file)) {
+      this.previewUrls.set(file, URL.createObjectURL(file))
+    }
+
+    return this.previewUrls.get(file)
+  }
+
+  /**
+   * Revoke the object URLs of files no longer in the list
+   */
+  releasePreviewUrls() {
+    this.previewUrls.forEach((url, file) => {
+      if (this.files.includes(file)) return
+
+      URL.revokeObjectURL(url)
+      this.previewUrls.delete(file)
+    })
+  }
+
   /**
    * Add image preview to container
    * @param {File} file - Image file
@@ -394,28 +1365,212 @@ export default class extends Controller {
     const img = template.querySelector("[data-preview-image]")
 
     if (img) {
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        img.src = e.target.result
-        img.alt = file.name
-        // Track URL for cleanup
-        this.previewUrls.push(e.target.result)
-      }
-      reader.readAsDataURL(file)
+      img.src = this.previewUrl(file)
+      img.alt = file.name
     }
 
     container.appendChild(template)
   }
 
   /**
-   * Add file icon to container
+   * Add a PDF preview showing a thumbnail of the first page, keeping the file
+   * icon when the page cannot be rendered
+   * @param {File} file - PDF file
    * @param {Element} container - Container element
    */
-  addFileIcon(container) {
-    if (!this.hasFileIconTemplateTarget) return
-
-    const template = this.fileIconTemplateTarget.content.cloneNode(true)
-    container.appendChild(template)
+  async addPdfPreview(file, container) {
+    const template = this.pdfPreviewTemplateTarget.content.cloneNode(true)
+    const img = template.querySelector("[data-preview-pdf]")
+    this.addFileIcon(container)
+
+    if (!img) return
+
+    try {
+      img.src = await this.pdfThumbnail(file)
+      img.alt = file.name
+      container.replaceChildren(template)
+    } catch {
+      // Without pdf.js or with an unreadable PDF, the icon stays
+    }
+  }
+
+  /**
+   * Thumbnail of a PDF's first page, rendered once per file
+   * @param {File} file - PDF file
+   * @returns {Promise<string>} Data URL of the thumbnail
+   */
+  pdfThumbnail(file) {
+    if (!this.pdfThumbnails.has(file)) {
+      this.pdfThumbnails.set(file, this.renderPdfThumbnail(file))
+    }
+
+    return this.pdfThumbnails.get(file)
+  }
+
+  /**
+   * Import pdf.js and point it to its worker, once for all controllers
+   * @returns {Promise<Object>} The pdf.js module
+   */
+  static loadPdfjs() {
+    const { pdfModule, pdfWorkerModule } = this.PREVIEW
+
+    this.pdfjs ??= import(pdfModule).then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc ||= import.meta.resolve(pdfWorkerModule)
+      return pdfjs
+    })
+
+    return this.pdfjs
+  }
+
+  /**
+   * Render the first page of a PDF to a canvas with pdf.js
+   * @param {File} file - PDF file
+   * @returns {Promise<string>} Data URL of the thumbnail
+   */
+  async renderPdfThumbnail(file) {
+    const { pdfThumbnailSize } = this.constructor.PREVIEW
+    const pdfjs = await this.constructor.loadPdfjs()
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise
+
+    try {
+      const page = await pdf.getPage(1)
+      const { width, height } = page.getViewport({ scale: 1 })
+      const viewport = page.getViewport({ scale: pdfThumbnailSize / Math.max(width, height) })
+
+      const canvas = document.createElement("canvas")
+      canvas.width = Math.ceil(viewport.width)
+      canvas.height = Math.ceil(viewport.height)
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise
+
+      return canvas.toDataURL("image/png")
+    } finally {
+      pdf.destroy()
+    }
+  }
+
+  /**
+   * Add a video or audio preview showing the media's duration. Videos show a
+   * frame from their first second as poster, audio gets a play button.
+   * @param {File} file - Media file
+   * @param {Element} container - Container element
+   * @param {Element} templateTarget - Preview template
+   * @param {string} selector - Selector of the media element in the template
+   */
+  addMediaPreview(file, container, templateTarget, selector) {
+    const template = templateTarget.content.cloneNode(true)
+    const media = template.querySelector(selector)
+    const duration = template.querySelector("[data-preview-duration]")
+
+    if (media) {
+      media.addEventListener("loadedmetadata", () => {
+        if (duration && Number.isFinite(media.duration)) {
+          duration.textContent = this.formatDuration(media.duration)
+        }
+        // Seeking renders the frame at that time, which serves as poster
+        if (media instanceof HTMLVideoElement) {
+          media.currentTime = Math.min(this.constructor.PREVIEW.posterTime, media.duration / 2)
+        }
+      }, { once: true })
+      media.addEventListener("error", () => {
+        container.innerHTML = ""
+        this.addFileIcon(container)
+      }, { once: true })
+
+      const button = template.querySelector("[data-preview-play]")
+      if (button) {
+        // Also fired when playback ends
+        media.addEventListener("play", () => this.renderPlayback(button, true))
+        media.addEventListener("pause", () => this.renderPlayback(button, false))
+      }
+
+      media.src = this.previewUrl(file)
+    }
+
+    container.appendChild(template)
+  }
+
+  /**
+   * Add a text preview with the first lines of the file
+   * @param {File} file - Text file
+   * @param {Element} container - Container element
+   * @param {Element} item - File item showing the first lines
+   */
+  async addTextPreview(file, container, item) {
+    const template = this.textPreviewTemplateTarget.content.cloneNode(true)
+    const excerpt = template.querySelector("[data-preview-text]")
+    this.addFileIcon(container)
+
+    if (!excerpt) return
+
+    // The excerpt goes below the file name, the preview container is too small
+    const details = item.querySelector("[data-file-name]")?.parentElement ?? container
+    details.appendChild(template)
+
+    try {
+      const { textBytes, textLines } = this.constructor.PREVIEW
+      const text = await file.slice(0, textBytes).text()
+      excerpt.textContent = text.split(/\r?\n/).slice(0, textLines).join("\n")
+    } catch {
+      excerpt.remove()
+    }
+  }
+
+  /**
+   * Play or pause an audio preview
+   * @param {Event} event - The click event
+   */
+  togglePreviewPlayback(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const audio = event.currentTarget.closest("[data-preview-container]")?.querySelector("[data-preview-audio]")
+    if (!audio) return
+
+    if (audio.paused) {
+      // Only one preview plays at a time
+      this.fileListTarget.querySelectorAll("[data-preview-audio]").forEach(other => other.pause())
+      audio.play()
+    } else {
+      audio.pause()
+    }
+  }
+
+  /**
+   * Reflect whether an audio preview is playing on its button
+   * @param {Element} button - The play button
+   * @param {boolean} playing - Whether the audio is playing
+   */
+  renderPlayback(button, playing) {
+    button.setAttribute("aria-pressed", playing)
+    button.querySelector("[data-play-icon]")?.classList.toggle("hidden", playing)
+    button.querySelector("[data-pause-icon]")?.classList.toggle("hidden", !playing)
+  }
+
+  /**
+   * Format a media duration as m:ss or h:mm:ss
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds)
+    const hours = Math.floor(total / 3600)
+    const minutes = Math.floor((total % 3600) / 60)
+    const secs = String(total % 60).padStart(2, "0")
+
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+      : `${minutes}:${secs}`
+  }
+
+  /**
+   * Add file icon to container
+   * @param {Element} container - Container element
+   */
+  addFileIcon(container) {
+    if (!this.hasFileIconTemplateTarget) return
+
+    const template = this.fileIconTemplateTarget.content.cloneNode(true)
+    container.appendChild(template)
   }
 
   /**
@@ -429,14 +1584,261 @@ export default class extends Controller {
     const item = event.target.closest("[data-file-item]")
     if (!item) return
 
+    if (item.dataset.rejectedIndex !== undefined) {
+      this.rejections.splice(parseInt(item.dataset.rejectedIndex, 10), 1)
+      this.updateFileList()
+      return
+    }
+
+    if (item.dataset.attachmentIndex !== undefined) {
+      this.removeAttachment(this.attachments[parseInt(item.dataset.attachmentIndex, 10)])
+      this.updateFileList()
+      this.updateDropZoneVisibility()
+      this.clearValidationError()
+      return
+    }
+
     const index = parseInt(item.dataset.fileIndex, 10)
     if (isNaN(index)) return
 
-    this.files.splice(index, 1)
+    const [file] = this.files.splice(index, 1)
+    this.releaseRemovedUploads()
     this.updateFileList()
     this.updateDropZoneVisibility()
     this.syncFilesToInput()
     this.clearValidationError()
+    this.dispatchFileEvent("removed", file)
+    this.processUploadQueue()
+  }
+
+  /**
+   * Remove an existing attachment, submitting its signed id for purging
+   * @param {Object} attachment - The attachment to remove
+   */
+  removeAttachment(attachment) {
+    if (!attachment) return
+
+    this.attachments = this.attachments.filter(current => current !== attachment)
+    this.removedAttachments.push(attachment)
+
+    if (this.purgeFieldValue) {
+      const purgeInput = document.createElement("input")
+      purgeInput.type = "hidden"
+      purgeInput.name = this.purgeFieldValue
+      purgeInput.value = attachment.signedId
+      purgeInput.dataset.attachmentPurge = ""
+      this.element.appendChild(purgeInput)
+    }
+
+    // A required field needs a new file once its last attachment is removed
+    if (this.hasInputTarget && this.inputTarget.dataset.requiredWithoutAttachments !== undefined) {
+      this.inputTarget.required = this.attachments.length === 0
+    }
+
+    this.dispatch("removed", { prefix: "file-upload", detail: { attachment } })
+  }
+
+  /**
+   * Move a file to another position in the list
+   * @param {number} from - Current index of the file
+   * @param {number} to - New index of the file
+   */
+  moveFile(from, to) {
+    if (from === to || to < 0 || to >= this.files.length) return
+
+    const files = [...this.files]
+    const [file] = files.splice(from, 1)
+    files.splice(to, 0, file)
+    this.files = files
+
+    this.updateFileList()
+    this.syncFilesToInput()
+    this.orderSignedIdInputs()
+
+    this.announce(this.t("file_moved", { name: file.name, position: to + 1, total: this.files.length }))
+    this.dispatchFileEvent("moved", file, { from, to })
+  }
+
+  /**
+   * Start dragging a file item
+   * @param {DragEvent} event - The drag event
+   */
+  startReorder(event) {
+    if (!this.reorderableValue) return
+
+    const item = event.target.closest("[data-file-item][data-file-index]")
+    if (!item) return
+
+    this.reorderIndex = parseInt(item.dataset.fileIndex, 10)
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", item.dataset.fileIndex)
+    item.classList.add("opacity-50")
+  }
+
+  /**
+   * Show where a dragged file item would be dropped
+   * @param {DragEvent} event - The drag event
+   */
+  reorderOver(event) {
+    if (this.reorderIndex === undefined) return
+
+    const item = event.target.closest("[data-file-item][data-file-index]")
+    if (!item) return
+
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "move"
+
+    this.clearReorderIndicator()
+    const after = this.isPointerInLowerHalf(event, item)
+    item.classList.add(after ? "border-b-2" : "border-t-2", "border-blue-500")
+  }
+
+  /**
+   * Drop a dragged file item at its new position
+   * @param {DragEvent} event - The drag event
+   */
+  reorderDrop(event) {
+    if (this.reorderIndex === undefined) return
+
+    const item = event.target.closest("[data-file-item][data-file-index]")
+    if (!item) return
+
+    event.preventDefault()
+    event.stopPropagation()
+
+    const from = this.reorderIndex
+    let to = parseInt(item.dataset.fileIndex, 10)
+    if (this.isPointerInLowerHalf(event, item)) to += 1
+    // Removing the dragged item first shifts the following items up
+    if (to > from) to -= 1
+
+    this.endReorder()
+    this.moveFile(from, to)
+  }
+
+  /**
+   * Clean up after dragging a file item
+   */
+  endReorder() {
+    this.reorderIndex = undefined
+    this.clearReorderIndicator()
+    this.fileListTarget
+      .querySelectorAll("[data-file-item]")
+      .forEach(item => item.classList.remove("opacity-50"))
+  }
+
+  /**
+   * Move the focused file item with Alt+ArrowUp / Alt+ArrowDown
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleItemKeydown(event) {
+    if (!this.reorderableValue || !event.altKey) return
+    if (event.key !== "ArrowUp" && event.key !== "ArrowDown") return
+
+    const item = event.target.closest("[data-file-item][data-file-index]")
+    if (!item) return
+
+    event.preventDefault()
+
+    const from = parseInt(item.dataset.fileIndex, 10)
+    const to = event.key === "ArrowUp" ? from - 1 : from + 1
+    if (to < 0 || to >= this.files.length) return
+
+    this.moveFile(from, to)
+
+    // Keep focus on the moved item's handle
+    const moved = this.fileListTarget.querySelector(`[data-file-item][data-file-index="${to}"]`)
+    moved?.querySelector("[data-drag-handle]")?.focus()
+  }
+
+  /**
+   * Whether the pointer is over the lower half of an element
+   * @param {DragEvent} event - The drag event
+   * @param {Element} element - The element
+   * @returns {boolean}
+   */
+  isPointerInLowerHalf(event, element) {
+    const rect = element.getBoundingClientRect()
+    return event.clientY > rect.top + rect.height / 2
+  }
+
+  /**
+   * Remove drop position indicators from file items
+   */
+  clearReorderIndicator() {
+    this.fileListTarget
+      .querySelectorAll("[data-file-item]")
+      .forEach(item => item.classList.remove("border-t-2", "border-b-2", "border-blue-500"))
+  }
+
+  /**
+   * Announce a message to screen readers
+   * @param {string} message - The message to announce
+   */
+  announce(message) {
+    if (!this.hasAnnouncerTarget) return
+
+    this.announcerTarget.textContent = message
+  }
+
+  /**
+   * Cancel a queued or running upload
+   * The file stays in the list in the failed state so it can be retried
+   * @param {Event} event - The click event
+   */
+  cancelUpload(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const file = this.fileForEvent(event)
+    const upload = file && this.uploads.get(file)
+    if (!upload || !["queued", "uploading"].includes(upload.state)) return
+
+    this.abortUpload(upload)
+    upload.cancelled = true
+    this.setUploadState(file, "failed")
+    this.dispatchFileEvent("failed", file, { error: null, cancelled: true })
+    this.processUploadQueue()
+  }
+
+  /**
+   * Queue a failed upload again, resuming a resumable upload after its last sent chunk
+   * @param {Event} event - The click event
+   */
+  retryUpload(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const file = this.fileForEvent(event)
+    const upload = file && this.uploads.get(file)
+    if (!upload || upload.state !== "failed") return
+
+    upload.cancelled = false
+    upload.error = null
+    this.setUploadState(file, "queued")
+    this.processUploadQueue()
+  }
+
+  /**
+   * Find the file of the list item an event originated from
+   * @param {Event} event - The event
+   * @returns {File|undefined} The file
+   */
+  fileForEvent(event) {
+    const item = event.target.closest("[data-file-item]")
+    if (!item) return undefined
+
+    return this.files[parseInt(item.dataset.fileIndex, 10)]
+  }
+
+  /**
+   * Dispatch a file-upload:* event
+   * @param {string} name - Event name
+   * @param {File} file - File the event is about
+   * @param {Object} detail - Additional event detail
+   */
+  dispatchFileEvent(name, file, detail = {}) {
+    this.dispatch(name, { prefix: "file-upload", detail: { file, ...detail } })
   }
 
   /**
@@ -445,8 +1847,8 @@ export default class extends Controller {
   updateDropZoneVisibility() {
     if (!this.hasDropZoneTarget) return
 
-    // For single file, hide drop zone when file is selected
-    if (!this.multipleValue && this.files.length > 0) {
+    // For single file, hide drop zone when a file is selected or attached
+    if (!this.multipleValue && this.files.length + this.attachments.length > 0) {
       this.dropZoneTarget.classList.add("hidden")
     } else {
       this.dropZoneTarget.classList.remove("hidden")
@@ -467,10 +1869,10 @@ export default class extends Controller {
     this.files.forEach(file => dataTransfer.items.add(file))
     this.inputTarget.files = dataTransfer.files
 
-    this.isSyncing = false
-
-    // Dispatch change event for form integration
+    // Dispatch change event for form integration (ignored by handleFileSelect)
     this.inputTarget.dispatchEvent(new Event("change", { bubbles: true }))
+
+    this.isSyncing = false
   }
 
   /**
@@ -508,18 +1910,868 @@ export default class extends Controller {
     this.validationErrorTarget.classList.add("hidden")
   }
 
+  /**
+   * Replace a file in the list, e.g. with its edited version
+   * @param {number} index - Index of the file to replace
+   * @param {File} file - The new file
+   */
+  async replaceFile(index, file) {
+    const previous = this.files[index]
+    if (!previous) return
+
+    this.clearValidationError()
+    const { rejected } = await this.validateFiles([file], this.files.filter(current => current !== previous))
+    if (rejected.length > 0) {
+      this.showValidationError(rejected[0].error)
+      return
+    }
+    // The file may have been removed while validating
+    if (this.files[index] !== previous) return
+
+    this.keepRelativePath(previous, file)
+    this.files = this.files.map((current, i) => (i === index ? file : current))
+    this.releaseRemovedUploads()
+    this.updateFileList()
+    this.syncFilesToInput()
+
+    this.dispatchFileEvent("removed", previous)
+    this.dispatchFileEvent("added", file)
+
+    this.startUploads()
+  }
+
+  /**
+   * Open the image editor for the clicked preview
+   * @param {Event} event - The click event
+   */
+  async editImage(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const file = this.fileForEvent(event)
+    if (!file || !this.isImageFile(file) || !this.hasEditorTarget) return
+
+    let bitmap
+    try {
+      bitmap = await createImageBitmap(file, { imageOrientation: "from-image" })
+    } catch {
+      this.showValidationError(this.t("image_unreadable", { name: file.name }))
+      return
+    }
+
+    this.editor?.bitmap.close()
+    this.editor = {
+      file,
+      bitmap,
+      rotation: 0,
+      zoom: this.constructor.EDITOR.minZoom,
+      centerX: null,
+      centerY: null,
+      aspectLocked: this.cropAspectRatioValue > 0,
+      pointer: null
+    }
+
+    if (this.hasEditorZoomTarget) {
+      this.editorZoomTarget.min = this.constructor.EDITOR.minZoom
+      this.editorZoomTarget.max = this.constructor.EDITOR.maxZoom
+      this.editorZoomTarget.step = this.constructor.EDITOR.zoomStep
+      this.editorZoomTarget.value = this.editor.zoom
+    }
+    if (this.hasEditorAspectLockTarget) {
+      this.editorAspectLockTarget.checked = this.editor.aspectLocked
+    }
+
+    this.centerEditorCrop()
+    this.renderEditor()
+    this.editorModal()?.open()
+  }
+
+  /**
+   * Rotate the edited image by 90° clockwise
+   */
+  rotateImage() {
+    if (!this.editor) return
+
+    this.editor.rotation = (this.editor.rotation + 90) % 360
+    this.centerEditorCrop()
+    this.renderEditor()
+  }
+
+  /**
+   * Zoom the edited image from the zoom range input
+   * @param {Event} event - The input event
+   */
+  zoomImage(event) {
+    if (!this.editor) return
+
+    this.setEditorZoom(parseFloat(event.target.value))
+  }
+
+  /**
+   * Lock or unlock the crop aspect ratio
+   * @param {Event} event - The change event
+   */
+  toggleAspectLock(event) {
+    if (!this.editor) return
+
+    this.editor.aspectLocked = event.target.checked
+    this.clampEditorCrop()
+    this.renderEditor()
+  }
+
+  /**
+   * Keyboard controls for the editor canvas
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleEditorKeydown(event) {
+    if (!this.editor) return
+
+    const { zoomStep, panStep } = this.constructor.EDITOR
+    const crop = this.editorCrop()
+    const moves = {
+      ArrowLeft: [-crop.width * panStep, 0],
+      ArrowRight: [crop.width * panStep, 0],
+      ArrowUp: [0, -crop.height * panStep],
+      ArrowDown: [0, crop.height * panStep]
+    }
+
+    if (moves[event.key]) {
+      event.preventDefault()
+      const [dx, dy] = moves[event.key]
+      this.panEditorBy(dx, dy)
+    } else if (event.key === "+" || event.key === "=") {
+      event.preventDefault()
+      this.setEditorZoom(this.editor.zoom + zoomStep)
+    } else if (event.key === "-") {
+      event.preventDefault()
+      this.setEditorZoom(this.editor.zoom - zoomStep)
+    } else if (event.key === "r" || event.key === "R") {
+      event.preventDefault()
+      this.rotateImage()
+    } else if (event.key === "Enter") {
+      event.preventDefault()
+      this.applyImageEdit()
+    }
+  }
+
+  /**
+   * Start panning the image with the pointer
+   * @param {PointerEvent} event - The pointer event
+   */
+  startEditorPan(event) {
+    if (!this.editor) return
+
+    event.currentTarget.setPointerCapture(event.pointerId)
+    this.editor.pointer = { x: event.clientX, y: event.clientY }
+  }
+
+  /**
+   * Pan the image while the pointer is down
+   * @param {PointerEvent} event - The pointer event
+   */
+  panEditor(event) {
+    if (!this.editor?.pointer) return
+
+    // Convert on-screen pixels into image pixels
+    const rect = event.currentTarget.getBoundingClientRect()
+    const scale = this.editorCrop().width / rect.width
+    const dx = (this.editor.pointer.x - event.clientX) * scale
+    const dy = (this.editor.pointer.y - event.clientY) * scale
+
+    this.editor.pointer = { x: event.clientX, y: event.clientY }
+    this.panEditorBy(dx, dy)
+  }
+
+  /**
+   * Stop panning the image
+   */
+  endEditorPan() {
+    if (this.editor) this.editor.pointer = null
+  }
+
+  /**
+   * Replace the edited file with the cropped and rotated image
+   */
+  async applyImageEdit() {
+    if (!this.editor) return
+
+    const { file } = this.editor
+    const index = this.files.indexOf(file)
+    const crop = this.editorCrop()
+
+    const canvas = document.createElement("canvas")
+    canvas.width = Math.max(Math.round(crop.width), 1)
+    canvas.height = Math.max(Math.round(crop.height), 1)
+
+    const type = this.constructor.PROCESSABLE_IMAGE_TYPES.includes(file.type) ? file.type : "image/png"
+    this.drawEditorImage(canvas, type)
+
+    const blob = await new Promise(resolve => {
+      canvas.toBlob(resolve, type, this.imageQualityValue)
+    })
+
+    this.editorModal()?.close()
+    if (!blob || index === -1) return
+
+    this.replaceFile(index, new File([blob], file.name, {
+      type: blob.type,
+      lastModified: Date.now()
+    }))
+  }
+
+  /**
+   * Release the editor image when its modal closes
+   * @param {CustomEvent} event - The components--modal:close event
+   */
+  handleEditorClose(event) {
+    if (!this.hasEditorTarget || event.target !== this.editorTarget) return
+
+    this.editor?.bitmap.close()
+    this.editor = null
+  }
+
+  /**
+   * The modal controller of the editor dialog
+   * @returns {Controller|null}
+   */
+  editorModal() {
+    if (!this.hasEditorTarget) return null
+
+    return this.application.getControllerForElementAndIdentifier(
+      this.editorTarget,
+      "components--modal"
+    )
+  }
+
+  /**
+   * Size of the edited image once rotated
+   * @returns {{width: number, height: number}}
+   */
+  editorImageSize() {
+    const { bitmap, rotation } = this.editor
+    return rotation % 180 === 0
+      ? { width: bitmap.width, height: bitmap.height }
+      : { width: bitmap.height, height: bitmap.width }
+  }
+
+  /**
+   * Size of the crop area, in rotated image pixels, at the current zoom
+   * At zoom 1 the crop is the largest area of the crop ratio fitting the image
+   * @returns {{width: number, height: number}}
+   */
+  editorCrop() {
+    const image = this.editorImageSize()
+    const ratio = this.editor.aspectLocked && this.cropAspectRatioValue > 0
+      ? this.cropAspectRatioValue
+      : image.width / image.height
+    const width = Math.min(image.width, image.height * ratio) / this.editor.zoom
+
+    return { width, height: width / ratio }
+  }
+
+  /**
+   * Center the crop area on the image
+   */
+  centerEditorCrop() {
+    const image = this.editorImageSize()
+    this.editor.centerX = image.width / 2
+    this.editor.centerY = image.height / 2
+  }
+
+  /**
+   * Keep the crop area inside the image
+   */
+  clampEditorCrop() {
+    const image = this.editorImageSize()
+    const crop = this.editorCrop()
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+    this.editor.centerX = clamp(this.editor.centerX, crop.width / 2, image.width - crop.width / 2)
+    this.editor.centerY = clamp(this.editor.centerY, crop.height / 2, image.height - crop.height / 2)
+  }
+
+  /**
+   * Set the editor zoom level
+   * @param {number} zoom - The zoom level
+   */
+  setEditorZoom(zoom) {
+    const { minZoom, maxZoom } = this.constructor.EDITOR
+    this.editor.zoom = Math.min(Math.max(zoom, minZoom), maxZoom)
+
+    if (this.hasEditorZoomTarget) {
+      this.editorZoomTarget.value = this.editor.zoom
+    }
+
+    this.clampEditorCrop()
+    this.renderEditor()
+  }
+
+  /**
+   * Move the crop area
+   * @param {number} dx - Horizontal move in rotated image pixels
+   * @param {number} dy - Vertical move in rotated image pixels
+   */
+  panEditorBy(dx, dy) {
+    this.editor.centerX += dx
+    this.editor.centerY += dy
+    this.clampEditorCrop()
+    this.renderEditor()
+  }
+
+  /**
+   * Draw the crop area onto the editor canvas
+   */
+  renderEditor() {
+    if (!this.editor || !this.hasEditorCanvasTarget) return
+
+    const crop = this.editorCrop()
+    const canvas = this.editorCanvasTarget
+    canvas.width = this.constructor.EDITOR.canvasWidth
+    canvas.height = Math.round(canvas.width * crop.height / crop.width)
+
+    this.drawEditorImage(canvas)
+  }
+
+  /**
+   * Draw the rotated image so the crop area fills a canvas
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {string} [type] - Output type, used to flatten transparency for JPEG
+   */
+  drawEditorImage(canvas, type = null) {
+    const { bitmap, rotation, centerX, centerY } = this.editor
+    const image = this.editorImageSize()
+    const scale = canvas.width / this.editorCrop().width
+    const context = canvas.getContext("2d")
+
+    context.save()
+    if (type === "image/jpeg") {
+      context.fillStyle = "#ffffff"
+      context.fillRect(0, 0, canvas.width, canvas.height)
+    } else {
+      context.clearRect(0, 0, canvas.width, canvas.height)
+    }
+
+    // Map the crop center to the canvas center, then draw the image rotated
+    // around the center of the rotated image
+    context.translate(canvas.width / 2, canvas.height / 2)
+    context.scale(scale, scale)
+    context.translate(image.width / 2 - centerX, image.height / 2 - centerY)
+    context.rotate(rotation * Math.PI / 180)
+    context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2)
+    context.restore()
+  }
+
+  /**
+   * Whether files are uploaded directly instead of with the form submit
+   * @returns {boolean}
+   */
+  isDirectUpload() {
+    return this.directUploadUrlValue !== "" || this.resumableUploadUrlValue !== ""
+  }
+
+  /**
+   * Prepare the input and form for direct uploads
+   * Raw files must not be submitted, so the input name moves to the hidden
+   * signed id fields and the form waits for running uploads
+   */
+  prepareDirectUpload() {
+    if (!this.hasInputTarget) return
+
+    this.fieldName = this.inputTarget.name
+    this.inputTarget.removeAttribute("name")
+
+    this.form = this.inputTarget.form
+    this.handleFormSubmit = this.preventSubmitWhileUploading.bind(this)
+    this.form?.addEventListener("submit", this.handleFormSubmit)
+  }
+
+  /**
+   * Block form submission while uploads are still running, or while failed
+   * or cancelled uploads are still listed, as their files would go missing
+   * @param {SubmitEvent} event - The submit event
+   */
+  preventSubmitWhileUploading(event) {
+    const states = Array.from(this.uploads.values()).map(upload => upload.state)
+    let message
+    if (states.includes("queued") || states.includes("uploading")) {
+      message = this.t("uploads_in_progress")
+    } else if (states.includes("failed")) {
+      message = this.t("uploads_failed")
+    } else {
+      return
+    }
+
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    this.showValidationError(message)
+  }
+
+  /**
+   * Queue direct uploads for files that have not been uploaded yet
+   */
+  startUploads() {
+    if (!this.isDirectUpload()) return
+
+    this.files
+      .filter(file => !this.uploads.has(file))
+      .forEach(file => {
+        this.uploads.set(file, {
+          state: "queued",
+          progress: 0,
+          offset: 0,
+          signedId: null,
+          url: null,
+          headers: {},
+          xhr: null,
+          request: null,
+          run: null,
+          cancelled: false,
+          error: null,
+          input: null
+        })
+        this.renderUploadState(file)
+      })
+
+    this.processUploadQueue()
+  }
+
+  /**
+   * Start queued uploads, in list order, up to the concurrency limit
+   */
+  processUploadQueue() {
+    const running = Array.from(this.uploads.values())
+      .filter(upload => upload.state === "uploading").length
+    const available = Math.max(this.maxConcurrentUploadsValue, 1) - running
+
+    this.files
+      .filter(file => this.uploads.get(file)?.state === "queued")
+      .slice(0, Math.max(available, 0))
+      .forEach(file => this.uploadFile(file))
+  }
+
+  /**
+   * Abort uploads and drop signed id fields of files no longer in the list
+   */
+  releaseRemovedUploads() {
+    this.uploads.forEach((upload, file) => {
+      if (this.files.includes(file)) return
+
+      this.abortUpload(upload)
+      upload.input?.remove()
+      this.uploads.delete(file)
+    })
+  }
+
+  /**
+   * Upload a file directly and swap it for its signed blob id
+   * @param {File} file - File to upload
+   */
+  async uploadFile(file) {
+    const upload = this.uploads.get(file)
+    // Each attempt gets its own run so an aborted attempt cannot outlive a retry
+    const run = { aborted: false }
+    upload.run = run
+    upload.progress = file.size > 0 ? upload.offset / file.size : 0
+    this.setUploadState(file, "uploading")
+
+    try {
+      upload.signedId = this.resumableUploadUrlValue
+        ? await this.uploadInChunks(file, upload, run)
+        : await this.withRetry(run, () => this.uploadWithActiveStorage(file, upload, run))
+
+      upload.progress = 1
+      upload.input = this.addSignedIdInput(upload.signedId)
+      this.orderSignedIdInputs()
+      this.setUploadState(file, "done")
+      this.dispatchFileEvent("completed", file, { signedId: upload.signedId })
+    } catch (error) {
+      // Cancelled or removed uploads have already been taken care of
+      if (run.aborted) return
+
+      upload.error = error
+      this.setUploadState(file, "failed")
+      this.dispatchFileEvent("failed", file, { error, cancelled: false })
+    } finally {
+      this.processUploadQueue()
+    }
+  }
+
+  /**
+   * Move an upload to a new state and refresh its list item
+   * @param {File} file - File being uploaded
+   * @param {string} state - One of queued, uploading, failed, done
+   */
+  setUploadState(file, state) {
+    const upload = this.uploads.get(file)
+    if (!upload) return
+
+    upload.state = state
+    this.renderUploadState(file)
+  }
+
+  /**
+   * Run a request, retrying it with exponential backoff on failure
+   * @param {Object} run - The attempt, flagged when aborted
+   * @param {Function} send - Sends the request and returns its promise
+   * @returns {Promise<*>} The result of the request
+   */
+  async withRetry(run, send) {
+    for (let attempt = 0; ; attempt++) {
+      if (run.aborted) throw new Error("Upload aborted")
+
+      try {
+        return await send()
+      } catch (error) {
+        if (run.aborted || attempt >= this.maxRetriesValue) throw error
+
+        await new Promise(resolve => {
+          setTimeout(resolve, this.constructor.RETRY_BASE_DELAY * 2 ** attempt)
+        })
+      }
+    }
+  }
+
+  /**
+   * Upload the whole file with Active Storage's DirectUpload, which checksums
+   * it, creates the blob and stores the file
+   * @param {File} file - File to upload
+   * @param {Object} upload - Upload record
+   * @param {Object} run - The attempt, flagged when aborted
+   * @returns {Promise<string>} The signed blob id
+   */
+  async uploadWithActiveStorage(file, upload, run) {
+    const { DirectUpload } = await import(this.constructor.ACTIVE_STORAGE_MODULE)
+    upload.progress = 0
+
+    return new Promise((resolve, reject) => {
+      const track = (xhr) => {
+        upload.xhr = xhr
+        xhr.addEventListener("abort", () => reject(new Error("Upload aborted")))
+        // The request is sent right after this hook, and aborted once it is
+        if (run.aborted) setTimeout(() => xhr.abort())
+      }
+      const delegate = {
+        directUploadWillCreateBlobWithXHR: track,
+        directUploadWillStoreFileWithXHR: (xhr) => {
+          track(xhr)
+          xhr.upload.addEventListener("progress", event => this.reportProgress(file, upload, event.loaded))
+        }
+      }
+
+      new DirectUpload(file, this.directUploadUrlValue, delegate).create((error, blob) => {
+        upload.xhr = null
+        error ? reject(new Error(error)) : resolve(blob.signed_id)
+      })
+    })
+  }
+
+  /**
+   * Upload a file in chunks to the resumable upload endpoint. Sent chunks are
+   * counted in `upload.offset`, so a retry resumes where the upload stopped.
+   * @param {File} file - File to upload
+   * @param {Object} upload - Upload record
+   * @param {Object} run - The attempt, flagged when aborted
+   * @returns {Promise<string>} The signed blob id
+   */
+  async uploadInChunks(file, upload, run) {
+    if (!upload.url) {
+      await this.withRetry(run, () => this.createResumableUpload(file, upload))
+    }
+
+    const chunkSize = this.chunkSizeValue > 0 ? this.chunkSizeValue : file.size
+    let response
+
+    // Once every chunk is sent, an empty chunk asks for the blob again
+    do {
+      const start = upload.offset
+      const end = Math.min(start + chunkSize, file.size)
+      response = await this.withRetry(run, () => this.sendChunk(file, upload, start, end))
+      upload.offset = end
+    } while (upload.offset < file.size)
+
+    if (!response?.signed_id) {
+      throw new Error("Invalid resumable upload response")
+    }
+
+    return response.signed_id
+  }
+
+  /**
+   * Open a resumable upload for a file
+   * @param {File} file - File to upload
+   * @param {Object} upload - Upload record to fill with the endpoint response
+   */
+  async createResumableUpload(file, upload) {
+    upload.request = new AbortController()
+
+    const response = await fetch(this.resumableUploadUrlValue, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": this.getCsrfToken(),
+        "Accept": "application/json"
+      },
+      body: JSON.stringify({
+        upload: {
+          filename: file.name,
+          content_type: file.type || "application/octet-stream",
+          byte_size: file.size
+        }
+      }),
+      signal: upload.request.signal
+    })
+
+    upload.request = null
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+
+    const { url, headers } = await response.json()
+    if (!url) throw new Error("Invalid resumable upload response")
+
+    upload.url = url
+    upload.headers = headers || {}
+  }
+
+  /**
+   * Send a byte range of a file with XMLHttpRequest (fetch has no upload progress)
+   * @param {File} file - File being uploaded
+   * @param {Object} upload - Upload record
+   * @param {number} start - First byte of the chunk
+   * @param {number} end - Byte after the last byte of the chunk
+   * @returns {Promise<Object|null>} The JSON response, if any
+   */
+  sendChunk(file, upload, start, end) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest()
+      upload.xhr = xhr
+
+      xhr.open("PUT", upload.url)
+      xhr.responseType = "json"
+      Object.entries(upload.headers).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value)
+      })
+      xhr.setRequestHeader("Content-Range", end > start
+        ? `bytes ${start}-${end - 1}/${file.size}`
+        : `bytes */${file.size}`)
+
+      xhr.upload.addEventListener("progress", (event) => {
+        this.reportProgress(file, upload, start + event.loaded)
+      })
+      xhr.addEventListener("load", () => {
+        upload.xhr = null
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(xhr.response)
+        } else {
+          reject(new Error(`HTTP error! status: ${xhr.status}`))
+        }
+      })
+      xhr.addEventListener("error", () => {
+        upload.xhr = null
+        reject(new Error("Network error"))
+      })
+      xhr.addEventListener("abort", () => {
+        upload.xhr = null
+        reject(new Error("Upload aborted"))
+      })
+
+      xhr.send(file.slice(start, end))
+    })
+  }
+
+  /**
+   * Record how much of a file was sent and report it
+   * @param {File} file - File being uploaded
+   * @param {Object} upload - Upload record
+   * @param {number} loaded - Bytes of the file sent so far
+   */
+  reportProgress(file, upload, loaded) {
+    if (file.size === 0) return
+
+    upload.progress = loaded / file.size
+    this.renderUploadState(file)
+    this.dispatchFileEvent("progress", file, { progress: upload.progress })
+  }
+
+  /**
+   * Abort any request in flight for an upload
+   * @param {Object} upload - Upload record
+   */
+  abortUpload(upload) {
+    if (upload.run) upload.run.aborted = true
+    upload.request?.abort()
+    upload.xhr?.abort()
+  }
+
+  /**
+   * Add the hidden field that submits a signed blob id
+   * @param {string} signedId - Signed blob id returned by the endpoint
+   * @returns {HTMLInputElement} The hidden input
+   */
+  addSignedIdInput(signedId) {
+    const input = document.createElement("input")
+    input.type = "hidden"
+    input.name = this.fieldName
+    input.value = signedId
+    input.dataset.signedId = ""
+    this.element.appendChild(input)
+    return input
+  }
+
+  /**
+   * Keep signed id fields in list order, as uploads finish in any order
+   */
+  orderSignedIdInputs() {
+    this.files.forEach(file => {
+      const input = this.uploads.get(file)?.input
+      if (input) this.element.appendChild(input)
+    })
+  }
+
+  /**
+   * Reflect upload progress and state in the file's list item
+   * @param {File} file - File whose item should be updated
+   */
+  renderUploadState(file) {
+    const upload = this.uploads.get(file)
+    const item = this.findFileItem(file)
+    if (!upload || !item) return
+
+    const percent = Math.round(upload.progress * 100)
+    item.dataset.uploadState = upload.state
+
+    const progressEl = item.querySelector("[data-file-progress]")
+    if (progressEl) {
+      progressEl.classList.toggle("hidden", upload.state !== "uploading")
+      progressEl.setAttribute("aria-valuenow", percent)
+    }
+
+    const barEl = item.querySelector("[data-file-progress-bar]")
+    if (barEl) barEl.style.width = `${percent}%`
+
+    const statusEl = item.querySelector("[data-file-status]")
+    if (statusEl) {
+      statusEl.textContent = this.uploadStatusText(upload, percent)
+      statusEl.classList.toggle("text-red-600", upload.state === "failed")
+    }
+
+    const cancelButton = item.querySelector('[data-file-action="cancel"]')
+    if (cancelButton) {
+      cancelButton.classList.toggle("hidden", !["queued", "uploading"].includes(upload.state))
+    }
+
+    const retryButton = item.querySelector('[data-file-action="retry"]')
+    if (retryButton) {
+      retryButton.classList.toggle("hidden", upload.state !== "failed")
+    }
+  }
+
+  /**
+   * Status text shown for an upload
+   * @param {Object} upload - Upload record
+   * @param {number} percent - Upload progress in percent
+   * @returns {string} Status text
+   */
+  uploadStatusText(upload, percent) {
+    switch (upload.state) {
+      case "queued":
+        return this.t("upload_queued")
+      case "uploading":
+        return this.t("uploading", { percent })
+      case "done":
+        return this.t("upload_complete")
+      case "failed":
+        return this.t(upload.cancelled ? "upload_cancelled" : "upload_failed")
+      default:
+        return ""
+    }
+  }
+
+  /**
+   * Find the list item rendered for a file
+   * @param {File} file - File to look up
+   * @returns {Element|null} The file item element
+   */
+  findFileItem(file) {
+    if (!this.hasFileListTarget) return null
+
+    const index = this.files.indexOf(file)
+    if (index === -1) return null
+
+    return this.fileListTarget.querySelector(`[data-file-item][data-file-index="${index}"]`)
+  }
+
+  /**
+   * Gets CSRF token from meta tag
+   * @returns {string} The CSRF token
+   */
+  getCsrfToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.content : ""
+  }
+
   /**
    * Format file size to human readable string
    * @param {number} bytes - File size in bytes
    * @returns {string} Formatted file size
    */
   formatFileSize(bytes) {
-    if (bytes === 0) return "0 Bytes"
-
     const k = 1024
-    const sizes = ["Bytes", "KB", "MB", "GB"]
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
+    const units = ["byte", "kb", "mb", "gb"]
+    const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1) : 0
+    const size = bytes / Math.pow(k, i)
+
+    const number = new Intl.NumberFormat(this.locale, { maximumFractionDigits: 2 }).format(size)
+    let unit = this.translation("storage_units")[units[i]]
+    if (typeof unit === "object") unit = this.pluralize(unit, size)
+
+    return this.translation("storage_format").replace("%n", number).replace("%u", unit)
+  }
+
+  /**
+   * Locale used for plural rules and number formatting
+   * @returns {string|undefined} The locale, or undefined for the browser default
+   */
+  get locale() {
+    return this.localeValue || document.documentElement.lang || undefined
+  }
+
+  /**
+   * Raw translation entry, falling back to the default, then to the key itself
+   * @param {string} key - Translation key
+   * @returns {string|Object} The translation, or its plural forms
+   */
+  translation(key) {
+    return this.translationsValue[key] ?? this.constructor.defaultTranslations[key] ?? key
+  }
+
+  /**
+   * Translate a message, replacing placeholders like %{name}
+   * @param {string} key - Translation key
+   * @param {Object} replacements - Placeholder values, `count` also picks the plural form
+   * @returns {string} The translated message
+   */
+  t(key, replacements = {}) {
+    let text = this.translation(key)
+    if (typeof text === "object") text = this.pluralize(text, replacements.count)
+
+    return text.replace(/%\{(\w+)\}/g, (placeholder, name) =>
+      name in replacements ? replacements[name] : placeholder
+    )
+  }
+
+  /**
+   * Pick the plural form for a count, following the locale's plural rules
+   * @param {Object} forms - Plural forms keyed by category (zero, one, few, many, other)
+   * @param {number} count - The count
+   * @returns {string} The plural form
+   */
+  pluralize(forms, count = 0) {
+    // Like Rails, an explicit zero form wins over the locale's rules
+    if (count === 0 && forms.zero) return forms.zero
 
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i]
+    const category = new Intl.PluralRules(this.locale).select(count)
+    return forms[category] ?? forms.other ?? ""
   }
 }
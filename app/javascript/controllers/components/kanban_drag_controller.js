@@ -1,19 +1,78 @@
 import { Controller } from "@hotwired/stimulus"
 
+// Keeps the ids of the instructions of several boards unique
+let instructionsCount = 0
+
 /**
  * Kanban Drag Controller
  *
- * Handles drag-and-drop functionality for kanban lead cards.
- * Allows leads to be dragged between status columns and updates via PATCH request.
+ * Handles drag-and-drop functionality for kanban boards of any kind of record
+ * (leads, tickets, orders, candidates...). Cards are dragged between columns
+ * and the new column is saved with a PATCH request. Cards are inserted where
+ * they are dropped, shown by a placeholder while dragging, and can be
+ * reordered inside their column; their index in the column is sent along so
+ * the server can persist their rank.
+ *
+ * Moves are optimistic: the card moves as soon as it is dropped and is marked
+ * pending until the server responds. When saving fails it animates back to
+ * its original column and position, and an error toast is shown. Each move is
+ * tracked on its own card, so several cards can be saving at once; a pending
+ * card cannot be dragged again until its move is settled.
+ *
+ * Besides mouse drag and drop, cards can be moved:
+ *   - by touch or pen: a long press lifts the card, a copy follows the finger
+ *     and the board scrolls when the finger nears the edge of a scrollable
+ *     column, the board or the page
+ *   - with the keyboard: Space or Enter picks up the focused card, Up/Down
+ *     move it in its column, Left/Right move it to the previous or next
+ *     column, Space or Enter drops it and Escape puts it back
+ * Cards are focusable and described by the keyboard instructions, and every
+ * step is announced. A card picked up with the keyboard is put back when
+ * focus leaves it.
+ *
+ * Process rules:
+ *   - WIP limits: a column with a `limit` shows `count/limit` in its count.
+ *     Drops into a full column are refused, or only warned about with
+ *     `limitMode: "warn"`.
+ *   - Transitions: the `transitions` value lists the columns cards may move to
+ *     from each column; columns missing from it accept any move. Drop zones a
+ *     card cannot move to are greyed out while it is dragged.
+ *   - Confirmation: moving a card into a column with `confirm: true` dispatches
+ *     a cancelable `kanban:confirm` event first. Nothing is saved until the
+ *     move is confirmed, and a cancelled move leaves the card where it was
+ *     taken from. A listener that calls `preventDefault()` takes over and must
+ *     later call `detail.confirm(params)`, optionally with extra params keyed
+ *     by bracketed name (e.g. `{ "lead[lost_reason]": "Price" }`), or
+ *     `detail.cancel()`, including when its dialog is dismissed. A move left
+ *     unanswered for `CONFIRM_TIMEOUT` is cancelled. Without such a listener
+ *     the move goes ahead.
  *
  * Targets:
- *   - card: Individual lead cards (draggable)
- *   - dropZone: Drop zones for each status column
+ *   - card: Individual cards (draggable), with `data-card-id`, `data-column` and
+ *     an optional `data-card-label` used in announcements
+ *   - dropZone: Drop zones for each column, with `data-column`
+ *   - toastTemplate: Template of the error toast (a rendered error
+ *     Feedback::ToastComponent), its message replaced on failure. Without
+ *     it, a plain error banner is shown instead (optional)
+ *   - toastContainer: Element error toasts are added to (defaults to the board)
  *
  * Values:
- *   - leadId: ID of the lead being dragged
- *   - currentStatus: Current status of the lead
- *   - updateUrl: URL to PATCH for updating lead status
+ *   - updateUrl: URL template of the PATCH request, `:id` is replaced by the card id
+ *   - param: Name of the param holding the column, brackets nest it (e.g. `lead[status]`)
+ *   - positionParam: Name of the param holding the 0-based index of the card in
+ *     its column (e.g. `lead[position]`), not sent unless set
+ *   - columns: Column metadata keyed by column, as
+ *     `{ label, badgeClasses, emptyText, limit, limitMode, confirm }`
+ *   - transitions: Columns cards may move to, keyed by the column they leave
+ *   - translations: Messages merged over `defaultTranslations`
+ *
+ * Elements found by data attributes:
+ *   - [data-kanban-cards]: Container of the cards of a drop zone
+ *   - [data-kanban-count]: Number of cards in a drop zone
+ *   - [data-kanban-empty]: Empty state of a drop zone
+ *   - [data-kanban-badge]: Badge showing the column of a card, restyled with
+ *     the column's `badgeClasses`
+ *   - select[name="<param>"]: Select inside a card, kept in sync with its column
  *
  * Actions:
  *   - dragStart(event): Initiates drag operation
@@ -21,59 +80,229 @@ import { Controller } from "@hotwired/stimulus"
  *   - dragOver(event): Allows dropping by preventing default
  *   - dragEnter(event): Visual feedback when entering drop zone
  *   - dragLeave(event): Removes visual feedback when leaving drop zone
- *   - drop(event): Handles drop and updates lead status
+ *   - drop(event): Moves the card and saves its column, moving it back on failure
+ *   - pointerDown(event): Starts a touch or pen drag
+ *   - handleCardKeydown(event): Picks up, moves, drops or puts back a card with the keyboard
  *
- * Usage:
- *   <div data-controller="components--kanban-drag">
- *     <div data-components--kanban-drag-target="card"
- *          data-lead-id="123"
- *          data-status="nouveau"
- *          draggable="true"
- *          data-action="dragstart->components--kanban-drag#dragStart
- *                       dragend->components--kanban-drag#dragEnd">
- *       Card content
- *     </div>
+ * Events:
+ *   - kanban:confirm - Dispatched before a move into a column requiring
+ *     confirmation, with `{ card, from, to, confirm, cancel }`
+ *
+ * Usage (a leads pipeline):
+ *   <div data-controller="components--kanban-drag"
+ *        data-components--kanban-drag-update-url-value="/leads/:id"
+ *        data-components--kanban-drag-param-value="lead[status]"
+ *        data-components--kanban-drag-position-param-value="lead[position]"
+ *        data-components--kanban-drag-columns-value='{
+ *          "nouveau": { "label": "Nouveau", "badgeClasses": "bg-blue-100 text-blue-800" },
+ *          "contacted": { "label": "Contacté", "badgeClasses": "bg-yellow-100 text-yellow-800", "limit": 20 },
+ *          "proposal_sent": { "label": "Proposition envoyée", "badgeClasses": "bg-purple-100 text-purple-800" },
+ *          "won": { "label": "Gagné", "badgeClasses": "bg-green-100 text-green-800" },
+ *          "lost": { "label": "Perdu", "badgeClasses": "bg-red-100 text-red-800", "confirm": true }
+ *        }'
+ *        data-components--kanban-drag-transitions-value='{ "nouveau": ["contacted", "lost"] }'
+ *        data-components--kanban-drag-translations-value='{ "empty": "Aucun lead pour le moment" }'>
+ *     <template data-components--kanban-drag-target="toastTemplate">
+ *       <%= render Feedback::ToastComponent.new(message: "Erreur", type: :error) %>
+ *     </template>
  *
  *     <div data-components--kanban-drag-target="dropZone"
- *          data-status="contacted"
+ *          data-column="contacted"
  *          data-action="dragover->components--kanban-drag#dragOver
  *                       dragenter->components--kanban-drag#dragEnter
  *                       dragleave->components--kanban-drag#dragLeave
  *                       drop->components--kanban-drag#drop">
- *       Drop zone
+ *       <span data-kanban-count>1</span>
+ *       <div data-kanban-cards>
+ *         <div data-components--kanban-drag-target="card"
+ *              data-card-id="123"
+ *              data-card-label="Acme"
+ *              data-column="contacted"
+ *              draggable="true"
+ *              data-action="dragstart->components--kanban-drag#dragStart
+ *                           dragend->components--kanban-drag#dragEnd
+ *                           pointerdown->components--kanban-drag#pointerDown
+ *                           keydown->components--kanban-drag#handleCardKeydown">
+ *           Acme <span data-kanban-badge class="bg-yellow-100 text-yellow-800">Contacté</span>
+ *         </div>
+ *       </div>
  *     </div>
  *   </div>
  */
 export default class extends Controller {
-  static targets = ["card", "dropZone"]
+  static targets = ["card", "dropZone", "toastTemplate", "toastContainer"]
+
+  static values = {
+    updateUrl: { type: String, default: "" },
+    param: { type: String, default: "status" },
+    positionParam: { type: String, default: "" },
+    columns: { type: Object, default: {} },
+    transitions: { type: Object, default: {} },
+    translations: { type: Object, default: {} }
+  }
+
+  // Default English messages, overridden by the translations value
+  static defaultTranslations = {
+    picked_up: "Moving %{card} from %{from}",
+    not_moved: "%{card} not moved",
+    moved: "%{card} moved from %{from} to %{to}, position %{position}",
+    reordered: "%{card} moved to position %{position} in %{column}",
+    move_failed: "%{card} could not be moved",
+    empty: "Nothing here yet",
+    instructions: "Press Space to pick up the card, the arrow keys to move it, Space again to drop it and Escape to cancel.",
+    keyboard_picked_up: "%{card} picked up in %{column}, position %{position} of %{total}",
+    keyboard_position: "%{column}, position %{position} of %{total}",
+    cancelled: "Move of %{card} cancelled",
+    transition_not_allowed: "%{card} cannot move from %{from} to %{to}",
+    limit_reached: "%{column} is full, its limit is %{limit} cards",
+    limit_exceeded: "%{column} is over its limit of %{limit} cards"
+  }
+
+  // Classes marking a card whose move is being saved
+  static PENDING_CLASSES = ["opacity-60", "animate-pulse"]
+
+  // Duration in ms of the animation moving a card back after a failed save
+  static ROLLBACK_DURATION = 250
+
+  // Classes and duration in ms of the error banner shown without a toast template
+  static FALLBACK_TOAST_CLASSES = ["fixed", "bottom-4", "right-4", "z-50", "rounded-md", "bg-red-600", "px-4", "py-3", "text-sm", "text-white", "shadow-lg"]
+  static FALLBACK_TOAST_DURATION = 5000
+
+  // Classes of the placeholder showing where the dragged card will be inserted
+  static PLACEHOLDER_CLASSES = ["rounded-lg", "border-2", "border-dashed", "border-blue-400", "bg-blue-50"]
+
+  // Classes of a card picked up with the keyboard
+  static LIFTED_CLASSES = ["ring-2", "ring-blue-500", "shadow-lg"]
+
+  // Classes of the copy of a card following the finger in touch drags
+  static GHOST_CLASSES = ["fixed", "z-50", "pointer-events-none", "shadow-xl", "rotate-2"]
+
+  // Press duration in ms before a touch lifts a card, and distance in pixels
+  // the finger may move during the press before it counts as scrolling
+  static LONG_PRESS = 300
+  static TOUCH_SLOP = 8
+
+  // Distance in pixels from the edge of a scrollable container at which a
+  // touch drag scrolls it, and pixels scrolled per frame
+  static AUTO_SCROLL = {
+    edge: 48,
+    speed: 12
+  }
+
+  // Time in ms a confirmation listener has to confirm or cancel a move
+  static CONFIRM_TIMEOUT = 120000
+
+  // Classes of the drop zones the dragged card cannot move to
+  static DISABLED_ZONE_CLASSES = ["opacity-40", "cursor-not-allowed"]
+
+  // Classes of the count of a column over its WIP limit
+  static OVER_LIMIT_CLASSES = ["text-red-600", "font-semibold"]
+
+  // Classes highlighting the drop zone under the dragged card
+  static DROP_ZONE_CLASSES = ["bg-blue-100", "border-2", "border-blue-500", "border-dashed"]
 
   /**
    * Stores data about the dragged item
    */
   draggedData = null
 
+  /**
+   * Origin of each card whose move is being saved, keyed by card
+   */
+  pendingMoves = new Map()
+
+  /**
+   * Cards whose move is waiting for confirmation
+   */
+  confirmingMoves = new Set()
+
+  /**
+   * Binds the handlers added and removed during drags
+   */
+  initialize() {
+    this.boundKeyboardFocusOut = this.keyboardFocusOut.bind(this)
+    this.boundPointerMove = this.pointerMove.bind(this)
+    this.boundPointerUp = this.pointerUp.bind(this)
+    this.boundPointerCancel = this.pointerCancel.bind(this)
+    this.boundPreventDefault = event => event.preventDefault()
+  }
+
+  /**
+   * Shows the WIP limits in the column counts
+   */
+  connect() {
+    this.updateColumnCounts()
+  }
+
+  /**
+   * Stops a touch or keyboard drag in progress and removes the instructions
+   */
+  disconnect() {
+    this.endPointerDrag()
+    if (this.keyboardDrag) this.keyboardCancel(false)
+
+    this.instructions?.remove()
+    this.instructions = null
+  }
+
+  /**
+   * Makes a card focusable and describes its keyboard controls
+   * @param {HTMLElement} card - The card element
+   */
+  cardTargetConnected(card) {
+    if (!card.hasAttribute("tabindex")) card.tabIndex = 0
+    card.setAttribute("aria-describedby", this.instructionsElement().id)
+  }
+
+  /**
+   * Screen reader instructions cards are described by, created on the first
+   * card. Instructions left in a restored page snapshot are reused.
+   * @returns {HTMLElement} The instructions element
+   */
+  instructionsElement() {
+    if (this.instructions) return this.instructions
+
+    this.instructions = this.element.querySelector(":scope > [data-kanban-instructions]")
+    if (this.instructions) return this.instructions
+
+    this.instructions = document.createElement("p")
+    this.instructions.id = `${this.element.id || "kanban"}-instructions-${++instructionsCount}`
+    this.instructions.className = "sr-only"
+    this.instructions.dataset.kanbanInstructions = ""
+    this.instructions.textContent = this.t("instructions")
+    this.element.appendChild(this.instructions)
+    return this.instructions
+  }
+
   /**
    * Initiates drag operation
    * @param {DragEvent} event - The drag event
    */
   dragStart(event) {
     const card = event.currentTarget
-    const leadId = card.dataset.leadId
-    const currentStatus = card.dataset.status
 
-    // Store drag data
-    this.draggedData = { leadId, currentStatus, card }
+    // Wait for the pending move to settle, and leave touch and keyboard drags alone
+    if (this.isBusy(card) || this.pointerDrag?.lifted || this.keyboardDrag) {
+      event.preventDefault()
+      return
+    }
+
+    const cardId = card.dataset.cardId
+    const currentColumn = card.dataset.column
+
+    // Store drag data, with the position the card is taken from
+    this.draggedData = { cardId, currentColumn, card, origin: this.originOf(card) }
 
     // Set data transfer for accessibility
     event.dataTransfer.effectAllowed = "move"
-    event.dataTransfer.setData("text/plain", leadId)
+    event.dataTransfer.setData("text/plain", cardId)
 
     // Visual feedback
     card.classList.add("opacity-50")
-    card.setAttribute("aria-grabbed", "true")
+    this.disableDropZones(card, currentColumn)
 
     // Announce to screen readers
-    this.announceToScreenReader(`Déplacement du lead ${leadId} depuis ${this.formatStatus(currentStatus)}`)
+    this.announceToScreenReader(this.t("picked_up", { card: this.cardLabel(card), from: this.columnLabel(currentColumn) }))
   }
 
   /**
@@ -85,21 +314,28 @@ export default class extends Controller {
 
     // Remove visual feedback
     card.classList.remove("opacity-50")
-    card.setAttribute("aria-grabbed", "false")
 
     // Clear all drop zone highlights
-    this.dropZoneTargets.forEach(zone => {
-      zone.classList.remove("bg-blue-100", "border-2", "border-blue-500", "border-dashed")
-    })
+    this.highlightDropZone(null)
+    this.enableDropZones()
+    this.removePlaceholder()
   }
 
   /**
-   * Allows dropping by preventing default behavior
+   * Allows dropping by preventing default behavior, and moves the placeholder
+   * to the insertion point under the pointer
    * @param {DragEvent} event - The drag event
    */
   dragOver(event) {
+    // Without preventDefault the browser refuses the drop
+    if (this.isDisabledDropZone(event.currentTarget)) return
+
     event.preventDefault()
     event.dataTransfer.dropEffect = "move"
+
+    if (!this.draggedData) return
+
+    this.showPlaceholder(event.currentTarget, this.draggedData.card, event.clientY)
   }
 
   /**
@@ -108,11 +344,11 @@ export default class extends Controller {
    */
   dragEnter(event) {
     const dropZone = event.currentTarget
-    const targetStatus = dropZone.dataset.status
+    const targetColumn = dropZone.dataset.column
 
-    // Don't highlight if dropping in same column
-    if (this.draggedData && targetStatus !== this.draggedData.currentStatus) {
-      dropZone.classList.add("bg-blue-100", "border-2", "border-blue-500", "border-dashed")
+    // Don't highlight if dropping in same column or where the card cannot go
+    if (this.draggedData && targetColumn !== this.draggedData.currentColumn && !this.isDisabledDropZone(dropZone)) {
+      dropZone.classList.add(...this.constructor.DROP_ZONE_CLASSES)
     }
   }
 
@@ -122,92 +358,854 @@ export default class extends Controller {
    */
   dragLeave(event) {
     const dropZone = event.currentTarget
-    dropZone.classList.remove("bg-blue-100", "border-2", "border-blue-500", "border-dashed")
+
+    // Entering a child of the drop zone also leaves the drop zone
+    if (dropZone.contains(event.relatedTarget)) return
+
+    dropZone.classList.remove(...this.constructor.DROP_ZONE_CLASSES)
+    if (this.placeholder && dropZone.contains(this.placeholder)) this.removePlaceholder()
   }
 
   /**
-   * Handles drop and updates lead status via PATCH request
+   * Handles drop: moves the card right away, then saves its column
    * @param {DragEvent} event - The drag event
    */
-  async drop(event) {
+  drop(event) {
     event.preventDefault()
 
     const dropZone = event.currentTarget
-    const targetStatus = dropZone.dataset.status
 
     // Remove highlight
-    dropZone.classList.remove("bg-blue-100", "border-2", "border-blue-500", "border-dashed")
+    dropZone.classList.remove(...this.constructor.DROP_ZONE_CLASSES)
 
     if (!this.draggedData) return
 
-    const { leadId, currentStatus, card } = this.draggedData
+    // Release the drag data now, another card can be dropped while this one saves
+    const { card, origin } = this.draggedData
+    this.draggedData = null
+
+    this.dropInto(dropZone, card, origin)
+  }
+
+  /**
+   * Inserts a card where the placeholder is in a drop zone, or at the bottom
+   * of its column, and saves the move
+   * @param {HTMLElement} dropZone - The drop zone
+   * @param {HTMLElement} card - The dragged card
+   * @param {Object} origin - Where the card was taken from
+   */
+  async dropInto(dropZone, card, origin) {
+    const cardContainer = dropZone.querySelector("[data-kanban-cards]")
+    const placeholder = this.placeholder?.parentElement === cardContainer ? this.placeholder : null
+    const before = placeholder ? this.nextCard(placeholder, card) : null
+    this.removePlaceholder()
+
+    if (!cardContainer) return
+
+    // Don't update if dropped where it was
+    if (cardContainer === origin.container && before === origin.nextCard) {
+      this.announceToScreenReader(this.t("not_moved", { card: this.cardLabel(card) }))
+      return
+    }
+
+    const { allowed, message } = this.dropRule(card, origin.column, dropZone)
+    if (!allowed) {
+      this.announceToScreenReader(message)
+      this.showErrorToast(message)
+      return
+    }
 
-    // Don't update if dropped in same column
-    if (targetStatus === currentStatus) {
-      this.announceToScreenReader("Lead non déplacé - même statut")
+    const params = await this.confirmMove(card, origin.column, dropZone.dataset.column)
+    if (!params) {
+      this.announceToScreenReader(this.t("cancelled", { card: this.cardLabel(card) }))
       return
     }
 
+    // The card it goes before may have moved while the move was confirmed
+    cardContainer.insertBefore(card, before?.parentElement === cardContainer ? before : null)
+    this.saveMove(card, origin, params)
+  }
+
+  /**
+   * Saves the column and position of a card already moved in the board via
+   * PATCH request, and moves it back if saving fails
+   * @param {HTMLElement} card - The moved card
+   * @param {Object} origin - Where the card was taken from
+   * @param {Object} params - Extra params from the move confirmation
+   */
+  async saveMove(card, origin, params = {}) {
+    const dropZone = this.dropZoneOf(card)
+    const targetColumn = dropZone.dataset.column
+    const cardLabel = this.cardLabel(card)
+    const { warning } = this.dropRule(card, origin.column, dropZone)
+
+    this.pendingMoves.set(card, origin)
+    this.applyColumn(card, targetColumn)
+    this.setPending(card, true)
+    const position = this.cardsIn(dropZone).indexOf(card)
+
     try {
-      // Send PATCH request to update lead status
-      const response = await fetch(`/leads/${leadId}`, {
+      // Send PATCH request to save the new column
+      const response = await fetch(this.updateUrl(card.dataset.cardId), {
         method: "PATCH",
         headers: {
           "Content-Type": "application/json",
           "X-CSRF-Token": this.getCsrfToken(),
           "Accept": "application/json"
         },
-        body: JSON.stringify({
-          lead: { status: targetStatus }
-        })
+        body: JSON.stringify(this.buildPayload(targetColumn, position, params))
       })
 
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`)
       }
 
-      // Move card to new column in DOM
-      const cardContainer = dropZone.querySelector("[data-kanban-cards]")
-      if (cardContainer) {
-        // Remove empty state if it exists
-        const emptyState = cardContainer.querySelector('.text-slate-400')
-        if (emptyState && emptyState.textContent.includes('Aucun lead')) {
-          emptyState.remove()
-        }
+      // Announce success to screen readers, positions counted from 1
+      const message = targetColumn === origin.column
+        ? this.t("reordered", { card: cardLabel, position: position + 1, column: this.columnLabel(targetColumn) })
+        : this.t("moved", { card: cardLabel, from: this.columnLabel(origin.column), to: this.columnLabel(targetColumn), position: position + 1 })
+      this.announceToScreenReader(warning ? `${message}. ${warning}` : message)
+    } catch {
+      this.rollback(card, origin)
+
+      const message = this.t("move_failed", { card: cardLabel })
+      this.announceToScreenReader(message)
+      this.showErrorToast(message)
+    } finally {
+      this.pendingMoves.delete(card)
+      this.setPending(card, false)
+    }
+  }
+
+  /**
+   * Checks the transition rules and WIP limit for moving a card into a drop zone
+   * @param {HTMLElement} card - The card element
+   * @param {string} from - The column the card leaves
+   * @param {HTMLElement} dropZone - The drop zone
+   * @returns {Object} `allowed`, with the refusal `message` or the over limit `warning`
+   */
+  dropRule(card, from, dropZone) {
+    const to = dropZone.dataset.column
+    if (to === from) return { allowed: true }
 
-        cardContainer.appendChild(card)
+    const allowedColumns = this.transitionsValue[from]
+    if (allowedColumns && !allowedColumns.includes(to)) {
+      return {
+        allowed: false,
+        message: this.t("transition_not_allowed", { card: this.cardLabel(card), from: this.columnLabel(from), to: this.columnLabel(to) })
       }
+    }
 
-      // Update card's status attribute
-      card.dataset.status = targetStatus
+    const { limit, limitMode } = this.columnsValue[to] || {}
+    const count = this.cardsIn(dropZone).filter(other => other !== card).length
+    if (limit && count >= limit) {
+      const replacements = { column: this.columnLabel(to), limit }
+      if (limitMode === "warn") return { allowed: true, warning: this.t("limit_exceeded", replacements) }
 
-      // Update the status badge inside the card
-      this.updateCardStatusBadge(card, targetStatus)
+      return { allowed: false, message: this.t("limit_reached", replacements) }
+    }
 
-      // Update the dropdown select value
-      this.updateCardDropdown(card, targetStatus)
+    return { allowed: true }
+  }
 
-      // Update counts
-      this.updateColumnCounts()
+  /**
+   * Greys out the drop zones a card cannot move to
+   * @param {HTMLElement} card - The dragged card
+   * @param {string} from - The column the card leaves
+   */
+  disableDropZones(card, from) {
+    this.dropZoneTargets.forEach(zone => {
+      if (this.dropRule(card, from, zone).allowed) return
+
+      zone.classList.add(...this.constructor.DISABLED_ZONE_CLASSES)
+      zone.setAttribute("aria-disabled", "true")
+    })
+  }
+
+  /**
+   * Restores the drop zones greyed out during a drag
+   */
+  enableDropZones() {
+    this.dropZoneTargets.forEach(zone => {
+      zone.classList.remove(...this.constructor.DISABLED_ZONE_CLASSES)
+      zone.removeAttribute("aria-disabled")
+    })
+  }
 
-      // Handle empty states
-      this.updateEmptyStates()
+  /**
+   * Whether a drop zone is greyed out for the dragged card
+   * @param {HTMLElement} dropZone - The drop zone
+   * @returns {boolean}
+   */
+  isDisabledDropZone(dropZone) {
+    return dropZone.getAttribute("aria-disabled") === "true"
+  }
+
+  /**
+   * Asks listeners of `kanban:confirm` to confirm a move into a column requiring
+   * it, cancelling the move when they do not answer within `CONFIRM_TIMEOUT`
+   * @param {HTMLElement} card - The moved card
+   * @param {string} from - The column the card leaves
+   * @param {string} to - The column the card moves to
+   * @returns {Promise<Object|null>} Extra params to send, or null when cancelled
+   */
+  async confirmMove(card, from, to) {
+    if (from === to || !this.columnsValue[to]?.confirm) return {}
 
-      // Announce success to screen readers
-      this.announceToScreenReader(
-        `Lead ${leadId} déplacé de ${this.formatStatus(currentStatus)} vers ${this.formatStatus(targetStatus)}`
-      )
-    } catch (error) {
-      console.error("Error updating lead status:", error)
-      this.announceToScreenReader("Erreur lors de la mise à jour du statut")
+    this.confirmingMoves.add(card)
 
-      // Could add error notification UI here
-      alert("Une erreur est survenue lors de la mise à jour du statut du lead")
+    try {
+      return await new Promise(resolve => {
+        const timeout = setTimeout(() => resolve(null), this.constructor.CONFIRM_TIMEOUT)
+        const settle = (params) => {
+          clearTimeout(timeout)
+          resolve(params)
+        }
+
+        const event = this.dispatch("confirm", {
+          prefix: "kanban",
+          cancelable: true,
+          detail: { card, from, to, confirm: (params = {}) => settle(params), cancel: () => settle(null) }
+        })
+
+        // No listener took over the confirmation
+        if (!event.defaultPrevented) settle({})
+      })
     } finally {
-      this.draggedData = null
+      this.confirmingMoves.delete(card)
+    }
+  }
+
+  /**
+   * Whether a card's move is being confirmed or saved, so it cannot be dragged
+   * @param {HTMLElement} card - The card element
+   * @returns {boolean}
+   */
+  isBusy(card) {
+    return this.pendingMoves.has(card) || this.confirmingMoves.has(card)
+  }
+
+  /**
+   * Column and position a card is taken from
+   * @param {HTMLElement} card - The card element
+   * @returns {Object} Its `container`, `nextCard` and `column`
+   */
+  originOf(card) {
+    return { container: card.parentElement, nextCard: this.nextCard(card, card), column: card.dataset.column }
+  }
+
+  /**
+   * Drop zone containing a card
+   * @param {HTMLElement} card - The card element
+   * @returns {HTMLElement|undefined} The drop zone
+   */
+  dropZoneOf(card) {
+    return this.dropZoneTargets.find(zone => zone.contains(card))
+  }
+
+  /**
+   * Highlights the drop zone under the dragged card, clearing the others
+   * @param {HTMLElement|null} dropZone - The drop zone, or null to clear them all
+   */
+  highlightDropZone(dropZone) {
+    this.dropZoneTargets.forEach(zone => {
+      this.constructor.DROP_ZONE_CLASSES.forEach(className => zone.classList.toggle(className, zone === dropZone))
+    })
+  }
+
+  /**
+   * Moves the placeholder to the insertion point under the pointer in a drop zone
+   * @param {HTMLElement} dropZone - The drop zone
+   * @param {HTMLElement} card - The dragged card
+   * @param {number} y - Vertical position of the pointer
+   */
+  showPlaceholder(dropZone, card, y) {
+    const cardContainer = dropZone.querySelector("[data-kanban-cards]")
+    if (!cardContainer) return
+
+    const placeholder = this.placeholderFor(card)
+    const before = this.cardAfterPointer(cardContainer, card, y)
+    if (placeholder.parentElement !== cardContainer || placeholder.nextElementSibling !== before) {
+      cardContainer.insertBefore(placeholder, before)
+    }
+  }
+
+  /**
+   * Placeholder shown at the insertion point, as tall as the dragged card
+   * @param {HTMLElement} card - The dragged card
+   * @returns {HTMLElement} The placeholder
+   */
+  placeholderFor(card) {
+    if (!this.placeholder) {
+      this.placeholder = document.createElement("div")
+      this.placeholder.classList.add(...this.constructor.PLACEHOLDER_CLASSES)
+      this.placeholder.setAttribute("data-kanban-placeholder", "")
+      this.placeholder.setAttribute("aria-hidden", "true")
+    }
+    this.placeholder.style.height = `${card.offsetHeight}px`
+    return this.placeholder
+  }
+
+  /**
+   * Removes the placeholder from the board
+   */
+  removePlaceholder() {
+    this.placeholder?.remove()
+  }
+
+  /**
+   * First card of a container whose middle is below the pointer, ignoring the dragged card
+   * @param {HTMLElement} cardContainer - The cards container
+   * @param {HTMLElement} dragged - The dragged card
+   * @param {number} y - Vertical position of the pointer
+   * @returns {HTMLElement|null} The card to insert before, or null for the bottom
+   */
+  cardAfterPointer(cardContainer, dragged, y) {
+    return this.cardTargets.find(card => {
+      if (card === dragged || card.parentElement !== cardContainer) return false
+
+      const rect = card.getBoundingClientRect()
+      return y < rect.top + rect.height / 2
+    }) || null
+  }
+
+  /**
+   * Next card after an element in the same container, skipping the dragged card
+   * @param {HTMLElement} element - The element
+   * @param {HTMLElement} card - The dragged card
+   * @returns {HTMLElement|null} The next card, or null at the bottom
+   */
+  nextCard(element, card) {
+    let sibling = element.nextElementSibling
+    while (sibling && (sibling === card || !this.cardTargets.includes(sibling))) {
+      sibling = sibling.nextElementSibling
+    }
+    return sibling
+  }
+
+  /**
+   * Handles the keyboard mode of a focused card: Space or Enter picks it up
+   * and drops it, the arrow keys move it, Escape puts it back
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  handleCardKeydown(event) {
+    const card = event.currentTarget
+
+    // Keys typed in a control inside the card
+    if (event.target !== card) return
+
+    const lifted = this.keyboardDrag?.card === card
+
+    switch (event.key) {
+      case " ":
+      case "Enter":
+        event.preventDefault()
+        lifted ? this.keyboardDrop() : this.keyboardPickUp(card)
+        break
+      case "Escape":
+        if (!lifted) return
+        event.preventDefault()
+        this.keyboardCancel()
+        break
+      case "ArrowUp":
+      case "ArrowDown":
+        if (!lifted) return
+        event.preventDefault()
+        this.keyboardMoveWithinColumn(card, event.key === "ArrowUp" ? -1 : 1)
+        break
+      case "ArrowLeft":
+      case "ArrowRight":
+        if (!lifted) return
+        event.preventDefault()
+        this.keyboardMoveToColumn(card, event.key === "ArrowLeft" ? -1 : 1)
+        break
     }
   }
 
+  /**
+   * Picks up a card with the keyboard
+   * @param {HTMLElement} card - The card element
+   */
+  keyboardPickUp(card) {
+    if (this.isBusy(card)) return
+    if (this.keyboardDrag) this.keyboardCancel()
+
+    this.keyboardDrag = { card, origin: this.originOf(card) }
+    card.classList.add(...this.constructor.LIFTED_CLASSES)
+    card.addEventListener("focusout", this.boundKeyboardFocusOut)
+    this.disableDropZones(card, card.dataset.column)
+
+    this.announceToScreenReader(this.t("keyboard_picked_up", { card: this.cardLabel(card), ...this.positionOf(card) }))
+  }
+
+  /**
+   * Moves the picked up card up or down in its column
+   * @param {HTMLElement} card - The picked up card
+   * @param {number} direction - -1 for up, 1 for down
+   */
+  keyboardMoveWithinColumn(card, direction) {
+    const cards = this.cardsIn(this.dropZoneOf(card))
+    const index = cards.indexOf(card)
+    const target = cards[index + direction]
+    if (!target) return
+
+    card.parentElement.insertBefore(card, direction < 0 ? target : target.nextElementSibling)
+    this.keyboardMoved(card)
+  }
+
+  /**
+   * Moves the picked up card to the previous or next column it can move to,
+   * at the same position
+   * @param {HTMLElement} card - The picked up card
+   * @param {number} direction - -1 for the previous column, 1 for the next one
+   */
+  keyboardMoveToColumn(card, direction) {
+    const zones = this.dropZoneTargets
+    let zone
+    for (let index = zones.indexOf(this.dropZoneOf(card)) + direction; zones[index]; index += direction) {
+      if (!this.isDisabledDropZone(zones[index])) {
+        zone = zones[index]
+        break
+      }
+    }
+    const cardContainer = zone?.querySelector("[data-kanban-cards]")
+    if (!cardContainer) return
+
+    const index = this.cardsIn(this.dropZoneOf(card)).indexOf(card)
+    cardContainer.insertBefore(card, this.cardsIn(zone)[index] || null)
+    this.applyColumn(card, zone.dataset.column)
+    this.keyboardMoved(card)
+  }
+
+  /**
+   * Keeps focus on the moved card and announces its new position
+   * @param {HTMLElement} card - The picked up card
+   */
+  keyboardMoved(card) {
+    card.focus()
+    this.announceToScreenReader(this.t("keyboard_position", this.positionOf(card)))
+  }
+
+  /**
+   * Drops the picked up card where it is and saves the move
+   */
+  async keyboardDrop() {
+    const { card, origin } = this.keyboardDrag
+    this.releaseKeyboardDrag()
+
+    if (card.parentElement === origin.container && this.nextCard(card, card) === origin.nextCard) {
+      this.announceToScreenReader(this.t("not_moved", { card: this.cardLabel(card) }))
+      return
+    }
+
+    const params = await this.confirmMove(card, origin.column, card.dataset.column)
+    if (!params) {
+      this.restore(card, origin)
+      this.announceToScreenReader(this.t("cancelled", { card: this.cardLabel(card) }))
+      return
+    }
+
+    this.saveMove(card, origin, params)
+  }
+
+  /**
+   * Puts the picked up card back where it was
+   * @param {boolean} refocus - Whether to focus the card again
+   */
+  keyboardCancel(refocus = true) {
+    const { card, origin } = this.keyboardDrag
+    this.releaseKeyboardDrag()
+
+    this.restore(card, origin)
+    if (refocus) card.focus()
+    this.announceToScreenReader(this.t("cancelled", { card: this.cardLabel(card) }))
+  }
+
+  /**
+   * Puts the picked up card back when focus leaves it, as no other card can be
+   * dragged meanwhile. Checked once the key handler is done, since moving the
+   * card to another column briefly takes its focus away.
+   * @param {FocusEvent} event - The focusout event
+   */
+  keyboardFocusOut(event) {
+    const card = event.currentTarget
+
+    queueMicrotask(() => {
+      if (this.keyboardDrag?.card !== card || document.activeElement === card) return
+
+      this.keyboardCancel(false)
+    })
+  }
+
+  /**
+   * Ends the keyboard mode of the picked up card
+   */
+  releaseKeyboardDrag() {
+    const { card } = this.keyboardDrag
+    this.keyboardDrag = null
+
+    card.classList.remove(...this.constructor.LIFTED_CLASSES)
+    card.removeEventListener("focusout", this.boundKeyboardFocusOut)
+    this.enableDropZones()
+  }
+
+  /**
+   * Column, 1-based position and number of cards of a card's column, for announcements
+   * @param {HTMLElement} card - The card element
+   * @returns {Object} The `column`, `position` and `total`
+   */
+  positionOf(card) {
+    const cards = this.cardsIn(this.dropZoneOf(card))
+    return { column: this.columnLabel(card.dataset.column), position: cards.indexOf(card) + 1, total: cards.length }
+  }
+
+  /**
+   * Starts a touch or pen drag, lifting the card after a long press so a
+   * swipe still scrolls the board
+   * @param {PointerEvent} event - The pointer event
+   */
+  pointerDown(event) {
+    // Mouse drags use the native drag and drop
+    if (event.pointerType === "mouse" || !event.isPrimary || this.pointerDrag) return
+
+    const card = event.currentTarget
+    if (this.isBusy(card) || this.keyboardDrag) return
+    if (event.target.closest("a, button, input, select, textarea")) return
+
+    this.pointerDrag = {
+      card,
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      x: event.clientX,
+      y: event.clientY,
+      lifted: false
+    }
+    this.longPressTimeout = setTimeout(() => this.liftPointerDrag(), this.constructor.LONG_PRESS)
+
+    window.addEventListener("pointermove", this.boundPointerMove)
+    window.addEventListener("pointerup", this.boundPointerUp)
+    window.addEventListener("pointercancel", this.boundPointerCancel)
+  }
+
+  /**
+   * Lifts the pressed card: a copy follows the finger and the page stops scrolling
+   */
+  liftPointerDrag() {
+    const drag = this.pointerDrag
+    if (!drag || this.draggedData) return
+
+    const { card } = drag
+    drag.lifted = true
+    drag.origin = this.originOf(card)
+    drag.ghost = this.createGhost(card)
+
+    card.classList.add("opacity-50")
+    this.disableDropZones(card, drag.origin.column)
+
+    // Keep the touch from scrolling or opening the context menu
+    document.addEventListener("touchmove", this.boundPreventDefault, { passive: false })
+    document.addEventListener("contextmenu", this.boundPreventDefault)
+
+    this.announceToScreenReader(this.t("picked_up", { card: this.cardLabel(card), from: this.columnLabel(drag.origin.column) }))
+    this.trackPointer()
+    this.autoScroll()
+  }
+
+  /**
+   * Follows the finger, or gives up on the long press when the finger moves first
+   * @param {PointerEvent} event - The pointer event
+   */
+  pointerMove(event) {
+    const drag = this.pointerDrag
+    if (!drag || event.pointerId !== drag.pointerId) return
+
+    drag.x = event.clientX
+    drag.y = event.clientY
+
+    if (!drag.lifted) {
+      if (Math.hypot(drag.x - drag.startX, drag.y - drag.startY) > this.constructor.TOUCH_SLOP) this.endPointerDrag()
+      return
+    }
+
+    this.trackPointer()
+  }
+
+  /**
+   * Drops the lifted card in the drop zone under the finger
+   * @param {PointerEvent} event - The pointer event
+   */
+  pointerUp(event) {
+    const drag = this.pointerDrag
+    if (!drag || event.pointerId !== drag.pointerId) return
+
+    const dropZone = drag.lifted ? this.dropZoneAt(drag.x, drag.y) : null
+    this.endPointerDrag()
+
+    if (dropZone) {
+      this.dropInto(dropZone, drag.card, drag.origin)
+    } else {
+      this.removePlaceholder()
+    }
+  }
+
+  /**
+   * Gives up on the drag when the browser takes over the touch
+   * @param {PointerEvent} event - The pointer event
+   */
+  pointerCancel(event) {
+    if (event.pointerId !== this.pointerDrag?.pointerId) return
+
+    this.endPointerDrag()
+    this.removePlaceholder()
+  }
+
+  /**
+   * Stops listening to the pointer and clears the drag feedback
+   */
+  endPointerDrag() {
+    const drag = this.pointerDrag
+    if (!drag) return
+
+    this.pointerDrag = null
+    clearTimeout(this.longPressTimeout)
+    cancelAnimationFrame(this.scrollFrame)
+
+    window.removeEventListener("pointermove", this.boundPointerMove)
+    window.removeEventListener("pointerup", this.boundPointerUp)
+    window.removeEventListener("pointercancel", this.boundPointerCancel)
+    document.removeEventListener("touchmove", this.boundPreventDefault)
+    document.removeEventListener("contextmenu", this.boundPreventDefault)
+
+    if (!drag.lifted) return
+
+    drag.ghost.remove()
+    drag.card.classList.remove("opacity-50")
+    this.highlightDropZone(null)
+    this.enableDropZones()
+  }
+
+  /**
+   * Moves the copy of the card under the finger and the placeholder to the
+   * insertion point of the drop zone below it
+   */
+  trackPointer() {
+    const { card, ghost, x, y, startX, startY } = this.pointerDrag
+    ghost.style.transform = `translate(${x - startX}px, ${y - startY}px)`
+
+    const dropZone = this.dropZoneAt(x, y)
+    const droppable = dropZone && !this.isDisabledDropZone(dropZone)
+    this.highlightDropZone(droppable && dropZone.dataset.column !== card.dataset.column ? dropZone : null)
+
+    if (droppable) {
+      this.showPlaceholder(dropZone, card, y)
+    } else {
+      this.removePlaceholder()
+    }
+  }
+
+  /**
+   * Drop zone at a point of the viewport
+   * @param {number} x - Horizontal position
+   * @param {number} y - Vertical position
+   * @returns {HTMLElement|undefined} The drop zone
+   */
+  dropZoneAt(x, y) {
+    const element = document.elementFromPoint(x, y)
+    return element ? this.dropZoneTargets.find(zone => zone.contains(element)) : undefined
+  }
+
+  /**
+   * Copy of a card following the finger while it is dragged
+   * @param {HTMLElement} card - The card element
+   * @returns {HTMLElement} The copy, added to the page
+   */
+  createGhost(card) {
+    const rect = card.getBoundingClientRect()
+    const ghost = card.cloneNode(true)
+
+    // The copy is decoration only, keep controllers and actions off it
+    ghost.removeAttribute("id")
+    ghost.removeAttribute("data-components--kanban-drag-target")
+    ghost.removeAttribute("data-action")
+    ghost.querySelectorAll("[data-controller]").forEach(element => element.removeAttribute("data-controller"))
+    ghost.setAttribute("aria-hidden", "true")
+
+    ghost.classList.add(...this.constructor.GHOST_CLASSES)
+    Object.assign(ghost.style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, margin: "0" })
+    document.body.appendChild(ghost)
+    return ghost
+  }
+
+  /**
+   * Scrolls the containers under the finger while it is near one of their edges
+   */
+  autoScroll() {
+    const drag = this.pointerDrag
+    if (!drag?.lifted) return
+
+    const { edge, speed } = this.constructor.AUTO_SCROLL
+    let scrolled = false
+
+    this.scrollableAncestors(document.elementFromPoint(drag.x, drag.y)).forEach(scroller => {
+      const rect = scroller === document.scrollingElement
+        ? { top: 0, left: 0, bottom: window.innerHeight, right: window.innerWidth }
+        : scroller.getBoundingClientRect()
+      const dx = drag.x < rect.left + edge ? -speed : drag.x > rect.right - edge ? speed : 0
+      const dy = drag.y < rect.top + edge ? -speed : drag.y > rect.bottom - edge ? speed : 0
+
+      if (dx || dy) {
+        scroller.scrollBy(dx, dy)
+        scrolled = true
+      }
+    })
+
+    if (scrolled) this.trackPointer()
+    this.scrollFrame = requestAnimationFrame(() => this.autoScroll())
+  }
+
+  /**
+   * Scrollable ancestors of an element, ending with the page
+   * @param {Element|null} element - The element
+   * @returns {Element[]} The scrollable elements, innermost first
+   */
+  scrollableAncestors(element) {
+    const scrollers = []
+
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+      const { overflowX, overflowY } = getComputedStyle(node)
+      const scrollsY = /auto|scroll/.test(overflowY) && node.scrollHeight > node.clientHeight
+      const scrollsX = /auto|scroll/.test(overflowX) && node.scrollWidth > node.clientWidth
+      if (scrollsX || scrollsY) scrollers.push(node)
+    }
+
+    scrollers.push(document.scrollingElement)
+    return scrollers
+  }
+
+  /**
+   * Sets the column of a card and refreshes its badge, select, the column
+   * counts and the empty states
+   * @param {HTMLElement} card - The card element
+   * @param {string} column - The column
+   */
+  applyColumn(card, column) {
+    card.dataset.column = column
+    this.updateCardBadge(card, column)
+    this.updateCardDropdown(card, column)
+    this.updateColumnCounts()
+    this.updateEmptyStates()
+  }
+
+  /**
+   * Shows or hides the pending indicator of a card
+   * @param {HTMLElement} card - The card element
+   * @param {boolean} pending - Whether its move is being saved
+   */
+  setPending(card, pending) {
+    this.constructor.PENDING_CLASSES.forEach(className => card.classList.toggle(className, pending))
+    card.setAttribute("aria-busy", pending ? "true" : "false")
+  }
+
+  /**
+   * Moves a card back to its original column and position, animating it from
+   * where it was dropped
+   * @param {HTMLElement} card - The card element
+   * @param {Object} origin - Its `container`, `nextCard` and `column` before the move
+   */
+  rollback(card, origin) {
+    const from = card.getBoundingClientRect()
+    this.restore(card, origin)
+
+    if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) return
+
+    const to = card.getBoundingClientRect()
+    card.animate(
+      [
+        { transform: `translate(${from.left - to.left}px, ${from.top - to.top}px)` },
+        { transform: "none" }
+      ],
+      { duration: this.constructor.ROLLBACK_DURATION, easing: "ease-out" }
+    )
+  }
+
+  /**
+   * Puts a card back in its original column and position
+   * @param {HTMLElement} card - The card element
+   * @param {Object} origin - Its `container`, `nextCard` and `column` before the move
+   */
+  restore(card, origin) {
+    // The next card may have moved away in the meantime
+    if (origin.nextCard && origin.nextCard.parentElement === origin.container) {
+      origin.container.insertBefore(card, origin.nextCard)
+    } else {
+      origin.container.appendChild(card)
+    }
+    this.applyColumn(card, origin.column)
+  }
+
+  /**
+   * Shows an error toast built from the toast template, or a plain error
+   * banner removed after a while when the board has no template
+   * @param {string} message - The error message
+   */
+  showErrorToast(message) {
+    const container = this.hasToastContainerTarget ? this.toastContainerTarget : this.element
+
+    if (!this.hasToastTemplateTarget) {
+      const banner = document.createElement("div")
+      banner.classList.add(...this.constructor.FALLBACK_TOAST_CLASSES)
+      banner.textContent = message
+      container.appendChild(banner)
+      setTimeout(() => banner.remove(), this.constructor.FALLBACK_TOAST_DURATION)
+      return
+    }
+
+    const toast = this.toastTemplateTarget.content.firstElementChild.cloneNode(true)
+    const messageElement = toast.querySelector("[data-toast-message]")
+    if (messageElement) messageElement.textContent = message
+
+    container.appendChild(toast)
+  }
+
+  /**
+   * Builds the update URL of a card from the URL template
+   * @param {string} cardId - The card id
+   * @returns {string} The URL
+   */
+  updateUrl(cardId) {
+    return this.updateUrlValue.replace(":id", encodeURIComponent(cardId))
+  }
+
+  /**
+   * Builds the request body, nesting the column and position under their bracketed param names
+   * @param {string} column - The new column
+   * @param {number} position - The 0-based index of the card in the column
+   * @param {Object} params - Extra values keyed by bracketed param name
+   * @returns {Object} The payload, e.g. `{ lead: { status: "won", position: 2 } }`
+   *   for `lead[status]` and `lead[position]`
+   */
+  buildPayload(column, position, params = {}) {
+    const payload = {}
+    this.setParam(payload, this.paramValue, column)
+    if (this.positionParamValue) this.setParam(payload, this.positionParamValue, position)
+    Object.entries(params).forEach(([name, value]) => this.setParam(payload, name, value))
+    return payload
+  }
+
+  /**
+   * Sets a value in a payload under a bracketed param name
+   * @param {Object} payload - The payload
+   * @param {string} name - The param name, e.g. `lead[status]`
+   * @param {*} value - The value
+   */
+  setParam(payload, name, value) {
+    const keys = name.match(/[^[\]]+/g)
+    const last = keys.pop()
+    const parent = keys.reduce((object, key) => (object[key] ??= {}), payload)
+    parent[last] = value
+  }
+
   /**
    * Gets CSRF token from meta tag
    * @returns {string} The CSRF token
@@ -218,21 +1216,32 @@ export default class extends Controller {
   }
 
   /**
-   * Updates lead count displays in column headers
+   * Updates card count displays in column headers, as `count/limit` for
+   * columns with a WIP limit
    */
   updateColumnCounts() {
     this.dropZoneTargets.forEach(zone => {
-      const status = zone.dataset.status
-      const cardContainer = zone.querySelector("[data-kanban-cards]")
-      const count = cardContainer ? cardContainer.children.length : 0
-      const countElement = zone.querySelector("[data-lead-count]")
+      const countElement = zone.querySelector("[data-kanban-count]")
+      if (!countElement) return
 
-      if (countElement) {
-        countElement.textContent = count
-      }
+      const count = this.cardsIn(zone).length
+      const limit = this.columnsValue[zone.dataset.column]?.limit
+      countElement.textContent = limit ? `${count}/${limit}` : count
+
+      const overLimit = Boolean(limit) && count > limit
+      this.constructor.OVER_LIMIT_CLASSES.forEach(className => countElement.classList.toggle(className, overLimit))
     })
   }
 
+  /**
+   * Cards inside a drop zone
+   * @param {HTMLElement} zone - The drop zone
+   * @returns {HTMLElement[]} The cards
+   */
+  cardsIn(zone) {
+    return this.cardTargets.filter(card => zone.contains(card))
+  }
+
   /**
    * Announces message to screen readers via aria-live region
    * @param {string} message - The message to announce
@@ -254,74 +1263,54 @@ export default class extends Controller {
   }
 
   /**
-   * Formats status for screen reader announcements
-   * @param {string} status - The status to format
-   * @returns {string} Formatted status in French
+   * Label of a column, from the columns metadata
+   * @param {string} column - The column
+   * @returns {string} The label, or the column itself without metadata
    */
-  formatStatus(status) {
-    const statusMap = {
-      nouveau: "Nouveau",
-      contacted: "Contacté",
-      proposal_sent: "Proposition envoyée",
-      won: "Gagné",
-      lost: "Perdu"
-    }
-    return statusMap[status] || status
+  columnLabel(column) {
+    return this.columnsValue[column]?.label || column
   }
 
   /**
-   * Updates the status badge inside a card
+   * Label of a card for announcements
    * @param {HTMLElement} card - The card element
-   * @param {string} status - The new status
+   * @returns {string} The card label, or its id
    */
-  updateCardStatusBadge(card, status) {
-    const badge = card.querySelector('.bg-blue-100, .bg-yellow-100, .bg-purple-100, .bg-green-100, .bg-red-100')
-    if (!badge) return
+  cardLabel(card) {
+    return card.dataset.cardLabel || card.dataset.cardId
+  }
 
-    // Remove all status color classes
-    badge.classList.remove(
-      'bg-blue-100', 'text-blue-800',
-      'bg-yellow-100', 'text-yellow-800',
-      'bg-purple-100', 'text-purple-800',
-      'bg-green-100', 'text-green-800',
-      'bg-red-100', 'text-red-800'
-    )
+  /**
+   * Updates the column badge inside a card
+   * @param {HTMLElement} card - The card element
+   * @param {string} column - The new column
+   */
+  updateCardBadge(card, column) {
+    const badge = card.querySelector("[data-kanban-badge]")
+    if (!badge) return
 
-    // Add new status color classes
-    const statusClasses = {
-      nouveau: ['bg-blue-100', 'text-blue-800'],
-      contacted: ['bg-yellow-100', 'text-yellow-800'],
-      proposal_sent: ['bg-purple-100', 'text-purple-800'],
-      won: ['bg-green-100', 'text-green-800'],
-      lost: ['bg-red-100', 'text-red-800']
-    }
+    // Swap the badge classes of every column for the new column's
+    Object.values(this.columnsValue).forEach(({ badgeClasses }) => {
+      if (badgeClasses) badge.classList.remove(...badgeClasses.split(/\s+/).filter(Boolean))
+    })
 
-    const classes = statusClasses[status] || ['bg-blue-100', 'text-blue-800']
-    badge.classList.add(...classes)
+    const badgeClasses = this.columnsValue[column]?.badgeClasses
+    if (badgeClasses) badge.classList.add(...badgeClasses.split(/\s+/).filter(Boolean))
 
     // Update badge text
-    badge.textContent = this.formatStatus(status)
+    badge.textContent = this.columnLabel(column)
   }
 
   /**
    * Updates the dropdown select value inside a card
    * @param {HTMLElement} card - The card element
-   * @param {string} status - The new status
+   * @param {string} column - The new column
    */
-  updateCardDropdown(card, status) {
-    const select = card.querySelector('select[name="lead[status]"]')
+  updateCardDropdown(card, column) {
+    const select = card.querySelector(`select[name="${CSS.escape(this.paramValue)}"]`)
     if (!select) return
 
-    // Map status to dropdown value
-    const statusValues = {
-      nouveau: "nouveau",
-      contacted: "contacted",
-      proposal_sent: "proposal_sent",
-      won: "won",
-      lost: "lost"
-    }
-
-    select.value = statusValues[status] || status
+    select.value = column
   }
 
   /**
@@ -332,14 +1321,15 @@ export default class extends Controller {
       const cardContainer = zone.querySelector("[data-kanban-cards]")
       if (!cardContainer) return
 
-      const cards = cardContainer.querySelectorAll('[data-lead-id]')
-      const emptyState = cardContainer.querySelector('.text-slate-400')
+      const cards = this.cardsIn(zone)
+      const emptyState = cardContainer.querySelector("[data-kanban-empty]")
 
       if (cards.length === 0 && !emptyState) {
         // Show empty state
-        const emptyDiv = document.createElement('div')
-        emptyDiv.className = 'flex items-center justify-center h-32 text-slate-400 text-sm'
-        emptyDiv.textContent = 'Aucun lead pour le moment'
+        const emptyDiv = document.createElement("div")
+        emptyDiv.className = "flex items-center justify-center h-32 text-slate-400 text-sm"
+        emptyDiv.setAttribute("data-kanban-empty", "")
+        emptyDiv.textContent = this.columnsValue[zone.dataset.column]?.emptyText || this.t("empty")
         cardContainer.appendChild(emptyDiv)
       } else if (cards.length > 0 && emptyState) {
         // Hide empty state
@@ -347,4 +1337,18 @@ export default class extends Controller {
       }
     })
   }
+
+  /**
+   * Translate a message, replacing placeholders like %{card}
+   * @param {string} key - Translation key
+   * @param {Object} replacements - Placeholder values
+   * @returns {string} The translated message
+   */
+  t(key, replacements = {}) {
+    const text = this.translationsValue[key] ?? this.constructor.defaultTranslations[key] ?? key
+
+    return text.replace(/%\{(\w+)\}/g, (placeholder, name) =>
+      name in replacements ? replacements[name] : placeholder
+    )
+  }
 }
@@ -5,39 +5,218 @@ import { Controller } from "@hotwired/stimulus"
  *
  * Handles multi-select with tag/chip interface for better UX than native <select multiple>.
  *
+ * Follows the WAI-ARIA combobox pattern: the search input is the combobox,
+ * it controls the options listbox and points at the highlighted option with
+ * aria-activedescendant while focus stays in the input. Tags are reachable
+ * with Left/Right from the trigger or the start of the input, and Delete or
+ * Backspace removes the focused tag.
+ *
+ * In single mode (`multiple` false) it works as a searchable select: one
+ * value, its label shown in the trigger instead of tags, an optional clear
+ * button, and a `multi-select:change` event with `{ value, label }` whenever
+ * the value changes.
+ *
+ * It takes part in its form like a native control: form reset restores the
+ * initial selection, submitting a required field without selection is
+ * blocked with a validation message, and every selection change dispatches
+ * bubbling `input` and `change` events with the selected values in
+ * `event.detail.values`. Events of the search input do not bubble past the
+ * controller, so they are not mistaken for changes of the field.
+ *
+ * When reorderable, tags can be dragged or moved with Alt+Left/Right, and the
+ * selected values and hidden inputs follow the order of the tags.
+ *
  * Targets:
  * - input: The search/filter input field
  * - dropdown: The dropdown menu with options
- * - option: Individual option elements (clickable)
+ * - option: Individual option elements (clickable, skipped when data-disabled is set,
+ *   searched by label and the optional space-separated data-keywords)
+ * - group: Group of options with its header, hidden when none of its options match
  * - tags: Container for selected tags
- * - tag: Individual tag elements (with remove button)
+ * - tag: Individual tag elements (with remove button), focusable with the arrow keys
  * - hidden: Hidden input fields for form submission
+ * - list: Scrollable container of the options
+ * - optionTemplate: Template for options rendered from search results (remote and virtualized modes)
+ * - virtualSpacer: Element sized to the height of all matching options (virtualized mode)
+ * - virtualWindow: Container of the options currently rendered (virtualized mode)
+ * - loading: Loading indicator shown while fetching options (remote mode)
+ * - loadError: Error message shown when fetching options fails (remote mode)
+ * - createOption: "Create" row offered for a query matching no option (creatable mode)
+ * - createError: Error message shown when creating a tag fails (creatable mode)
+ * - announcer: Live region for screen reader announcements
+ * - error: Error message rendered by the server
+ * - validationMessage: Message shown when submitting a required field without selection
+ * - selection: Label of the selected option in the trigger (single mode)
+ * - clear: Button clearing the selected option (single mode)
  *
  * Values:
  * - selected: Array of currently selected values
+ * - multiple: Whether several values can be selected, false for single mode
  * - open: Whether the dropdown is currently open
  * - placeholder: Placeholder text for the input
+ * - reorderable: Whether tags can be reordered
+ * - fuzzy: Whether search matches letters in order with gaps, sorting results by relevance
+ * - virtualized: Whether only the options scrolled into view are rendered
+ * - options: Array of `{ value, label, keywords, disabled, parents }` (virtualized mode)
+ * - maxSelections: Maximum number of selected values, 0 for unlimited
+ * - maxSelectionsMessage: Message announced when the limit is reached
+ * - addedMessage: Message announced when a tag is added (`%{label}`, `%{count}`)
+ * - removedMessage: Message announced when a tag is removed (`%{label}`, `%{count}`)
+ * - clearedMessage: Message announced when all tags are removed
+ * - selectedCountMessage: Message announced after selecting all visible options (`%{count}`)
+ * - movedMessage: Message announced when a tag is moved (`%{label}`, `%{position}`, `%{total}`)
+ * - url: Search endpoint; enables remote mode when set
+ * - debounce: Delay in ms between the last keystroke and the search request
+ * - minQueryLength: Number of characters required before searching
+ * - creatable: Whether values missing from the options can be added
+ * - createUrl: Endpoint new values are persisted to before they are selected
+ * - createLabel: Label of the "Create" row, `%{label}` is replaced by the query
+ * - dependsOn: Id of the parent field the options depend on
+ * - awaitingParentMessage: Placeholder shown until the parent has a value (`%{parent}`)
+ * - droppedMessage: Message announced when a parent change drops selected values (`%{labels}`)
+ *
+ * Search:
+ * Matching ignores case and accents, so "cafe" finds "Café". Every word of
+ * the query must match the label or keywords of an option, and the matched
+ * parts of the label are wrapped in <mark>. In fuzzy mode a word also matches
+ * when its letters appear in order, so "jsmith" finds "John Smith", and
+ * options are ordered by how well they match.
+ *
+ * Virtualized mode:
+ * For lists with thousands of options, options are read from the `options`
+ * value and only the rows in view, plus a few on each side, are rendered from
+ * the option template as the list scrolls. Search, keyboard highlighting and
+ * aria-activedescendant work on the full list: highlighting an option that is
+ * out of view scrolls to it and renders it. Option ids are based on the
+ * position of the option in the `options` value so they stay stable.
+ *
+ * Remote mode:
+ * Options are fetched from `url` instead of filtering the rendered ones. The
+ * controller requests `url?q=<query>&page=<page>` and expects
+ * `{ options: [{ value, label }], next_page: <number or null> }`. Typing is
+ * debounced and aborts the request in flight, and scrolling to the bottom of
+ * the list loads `next_page`. Tags of selected values stay visible whether or
+ * not they are part of the current results.
+ *
+ * Creatable mode:
+ * Typing a value that matches no option offers a "Create" row. Enter, comma
+ * and Tab create the tag, and pasting a comma-separated list creates one tag
+ * per entry. Without `createUrl` the label is used as the value. With it, the
+ * controller POSTs `{ label }` and selects the `{ value, label }` it responds
+ * with. A query matching an option's label selects that option instead.
+ *
+ * Dependent mode:
+ * With `dependsOn`, the options follow the selection of another field: a
+ * multi-select, a select, or any element wrapping named inputs. Options list
+ * the parent values they belong to in `data-parent` (a JSON array, `parents`
+ * for virtual options) and are hidden when none of them is selected in the
+ * parent, while options without it are always available. In remote mode the
+ * parent values are sent as `parent[]` params and results may include a
+ * `parent` value or array. When the parent changes, selected values that no
+ * longer belong to it are dropped and announced. The field is disabled, with
+ * `awaitingParentMessage` as placeholder, until the parent has a value.
  */
 export default class extends Controller {
-  static targets = ["trigger", "input", "dropdown", "option", "tags", "tag", "hidden", "placeholder", "error"]
+  static targets = [
+    "trigger", "input", "dropdown", "option", "tags", "tag", "hidden", "placeholder", "error",
+    "list", "optionTemplate", "loading", "loadError", "createOption", "createError",
+    "group", "announcer", "selection", "clear", "validationMessage"
+  ]
   static values = {
     selected: { type: Array, default: [] },
+    multiple: { type: Boolean, default: true },
     open: { type: Boolean, default: false },
     placeholder: { type: String, default: "Search..." },
-    highlightedIndex: { type: Number, default: -1 }
+    highlightedIndex: { type: Number, default: -1 },
+    fuzzy: { type: Boolean, default: false },
+    virtualized: { type: Boolean, default: false },
+    options: { type: Array, default: [] },
+    reorderable: { type: Boolean, default: false },
+    maxSelections: { type: Number, default: 0 },
+    maxSelectionsMessage: { type: String, default: "" },
+    addedMessage: { type: String, default: "%{label} added, %{count} selected" },
+    removedMessage: { type: String, default: "%{label} removed, %{count} selected" },
+    clearedMessage: { type: String, default: "Selection cleared" },
+    selectedCountMessage: { type: String, default: "%{count} selected" },
+    movedMessage: { type: String, default: "%{label} moved to position %{position} of %{total}" },
+    url: { type: String, default: "" },
+    debounce: { type: Number, default: 300 },
+    minQueryLength: { type: Number, default: 0 },
+    creatable: { type: Boolean, default: false },
+    createUrl: { type: String, default: "" },
+    createLabel: { type: String, default: 'Create "%{label}"' },
+    dependsOn: { type: String, default: "" },
+    awaitingParentMessage: { type: String, default: "Select %{parent} first" },
+    droppedMessage: { type: String, default: "%{labels} no longer available" }
+  }
+
+  // Distance in pixels from the bottom of the list at which the next page loads
+  static SCROLL_THRESHOLD = 48
+
+  // Number of options PageUp/PageDown move the highlight by
+  static PAGE_SIZE = 10
+
+  // Row height used until an option can be measured, and rows rendered
+  // above and below the visible ones (virtualized mode)
+  static VIRTUAL = {
+    rowHeight: 36,
+    overscan: 6
+  }
+
+  // Trigger border classes in the valid and invalid states
+  static VALID_CLASSES = ["border-gray-300", "hover:border-gray-400", "focus:border-blue-500", "focus:ring-blue-500"]
+  static INVALID_CLASSES = ["border-red-300", "hover:border-red-400", "focus:border-red-500", "focus:ring-red-500"]
+
+  // Trigger classes while the field waits for its parent to have a value
+  static AWAITING_CLASSES = ["bg-gray-50", "cursor-not-allowed"]
+  static READY_CLASSES = ["bg-white", "cursor-pointer"]
+
+  // Classes of the option highlighted with the keyboard
+  static HIGHLIGHT_CLASSES = ["bg-blue-100", "ring-2", "ring-blue-500", "ring-inset"]
+
+  // Relevance of a query word matching an option
+  static SCORES = {
+    substring: 100,
+    prefix: 50,
+    wordStart: 25,
+    fuzzyChar: 1,
+    fuzzyConsecutive: 5,
+    fuzzyWordStart: 8,
+    keywordRatio: 0.5
   }
 
   connect() {
     this.boundHandleClickOutside = this.handleClickOutside.bind(this)
+    this.boundHandleFormSubmit = this.handleFormSubmit.bind(this)
+    this.boundHandleFormReset = this.handleFormReset.bind(this)
     this.highlightedIndexValue = -1
-    // Store original error message for restoration
-    this.originalErrorMessage = this.hasErrorTarget ? this.errorTarget.textContent : null
+    // A server error is shown again when the selection is emptied
     this.hasOriginalError = this.hasErrorTarget
+    // Whether submitting failed validation, so emptying the field shows the message again
+    this.validated = false
+    // Lowercased labels of tags being created
+    this.pendingLabels = new Set()
+    // Folded label and keywords of each option, and its position before sorting
+    this.searchIndex = new WeakMap()
+    this.optionOrder = new WeakMap()
+    this.optionTargets.forEach((option, index) => this.optionOrder.set(option, index))
+    if (this.isVirtual()) this.setupVirtualOptions()
+    if (this.isDependent()) this.connectParent()
     this.updateUI()
+    this.initialSelection = this.currentSelection()
+
+    this.form = this.element.closest("form")
+    this.form?.addEventListener("submit", this.boundHandleFormSubmit)
+    this.form?.addEventListener("reset", this.boundHandleFormReset)
   }
 
   disconnect() {
+    this.form?.removeEventListener("submit", this.boundHandleFormSubmit)
+    this.form?.removeEventListener("reset", this.boundHandleFormReset)
+    this.parentField?.removeEventListener("change", this.boundHandleParentChange)
     this.removeEventListeners()
+    this.cancelSearch()
+    cancelAnimationFrame(this.renderFrame)
   }
 
   // Toggle dropdown open/close
@@ -57,7 +236,7 @@ export default class extends Controller {
     event?.preventDefault()
     event?.stopPropagation()
 
-    if (this.openValue) return
+    if (this.openValue || this.awaitingParent) return
 
     this.openValue = true
     this.dropdownTarget.classList.remove("hidden")
@@ -70,6 +249,7 @@ export default class extends Controller {
       this.triggerTarget.setAttribute("aria-expanded", "true")
     }
     if (this.hasInputTarget) {
+      this.inputTarget.setAttribute("aria-expanded", "true")
       // Small delay to ensure dropdown is visible
       setTimeout(() => this.inputTarget.focus(), 10)
     }
@@ -84,12 +264,18 @@ export default class extends Controller {
 
     if (this.hasInputTarget) {
       this.inputTarget.value = ""
+      this.inputTarget.setAttribute("aria-expanded", "false")
+      this.inputTarget.removeAttribute("aria-activedescendant")
     }
     if (this.hasTriggerTarget) {
       this.triggerTarget.setAttribute("aria-expanded", "false")
     }
 
-    this.filterOptions() // Reset filter
+    if (this.isRemote()) {
+      this.cancelSearch()
+    } else {
+      this.filterOptions() // Reset filter
+    }
     this.removeEventListeners()
   }
 
@@ -102,19 +288,35 @@ export default class extends Controller {
 
   // Filter options based on search input
   filterOptions(event) {
-    const query = this.hasInputTarget ? this.inputTarget.value.toLowerCase() : ""
+    this.updateCreateOption()
 
-    this.optionTargets.forEach((option) => {
-      const text = option.textContent.toLowerCase()
-      const matches = text.includes(query)
+    // Remote results are filtered by the server, debounce while typing
+    if (this.isRemote()) {
+      event ? this.scheduleSearch() : this.search()
+      return
+    }
 
-      if (matches) {
-        option.classList.remove("hidden")
-      } else {
-        option.classList.add("hidden")
-      }
+    if (this.isVirtual()) {
+      this.filterVirtualOptions()
+      this.resetHighlight()
+      this.updateNoResultsMessage()
+      return
+    }
+
+    const tokens = this.queryTokens()
+    const results = this.optionTargets.map((option) => ({ option, match: this.matchOption(option, tokens) }))
+
+    results.forEach(({ option, match }) => {
+      option.classList.toggle("hidden", !match)
+      this.highlightMatches(option, match ? match.ranges : [])
     })
 
+    if (this.fuzzyValue) {
+      this.sortOptions(results, tokens.length > 0)
+    }
+
+    this.updateGroups()
+
     // Reset keyboard navigation highlight when filtering
     this.resetHighlight()
 
@@ -125,21 +327,22 @@ export default class extends Controller {
   // Select an option (add tag)
   selectOption(event) {
     const option = event.currentTarget
+    if (this.isOptionDisabled(option)) return
+
     const value = option.dataset.value
     const label = option.dataset.label || option.textContent.trim()
 
+    if (!this.multipleValue) {
+      this.chooseValue(value, label)
+      return
+    }
+
     if (this.selectedValue.includes(value)) {
       // Already selected, deselect it and remove the tag from DOM
       this.deselectValue(value)
       this.removeTagElement(value)
     } else {
-      // Add to selected
-      this.selectedValue = [...this.selectedValue, value]
-      this.addTag(value, label)
-      this.updateHiddenInputs()
-      this.updateOptionStates()
-      this.updatePlaceholder()
-      this.clearError()
+      this.selectValue(value, label)
     }
 
     // Clear search and keep dropdown open for more selections
@@ -150,6 +353,81 @@ export default class extends Controller {
     this.filterOptions()
   }
 
+  // Add a value to the selection and render its tag
+  // Returns false when the selection limit is reached
+  selectValue(value, label) {
+    if (!this.multipleValue) {
+      this.chooseValue(value, label)
+      return true
+    }
+
+    if (this.isLimitReached()) {
+      this.announce(this.maxSelectionsMessageValue)
+      return false
+    }
+
+    this.selectedValue = [...this.selectedValue, value]
+    this.addTag(value, label)
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+    this.notifyChange()
+
+    const added = this.formatMessage(this.addedMessageValue, { label, count: this.selectedValue.length })
+    this.announce(this.isLimitReached() ? `${added}. ${this.maxSelectionsMessageValue}` : added)
+    return true
+  }
+
+  // Replace the value in single mode, then close the dropdown
+  chooseValue(value, label) {
+    const changed = this.selectedValue[0] !== value
+
+    this.selectedValue = [value]
+    this.renderSelection(label)
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+
+    this.closeDropdown()
+    if (this.hasTriggerTarget) this.triggerTarget.focus()
+
+    if (changed) {
+      this.dispatch("change", { prefix: "multi-select", detail: { value, label } })
+      this.notifyChange()
+    }
+  }
+
+  // Clear the value in single mode
+  clearSelection(event) {
+    event?.preventDefault()
+    if (this.selectedValue.length === 0) return
+
+    this.selectedValue = []
+    this.renderSelection("")
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+    this.announce(this.clearedMessageValue)
+    if (this.hasTriggerTarget) this.triggerTarget.focus()
+
+    this.dispatch("change", { prefix: "multi-select", detail: { value: null, label: null } })
+    this.notifyChange()
+  }
+
+  // Show the label of the selected option in the trigger (single mode)
+  renderSelection(label) {
+    if (this.hasSelectionTarget) {
+      this.selectionTarget.textContent = label
+      this.selectionTarget.classList.toggle("hidden", label === "")
+    }
+    if (this.hasClearTarget) {
+      this.clearTarget.classList.toggle("hidden", label === "")
+    }
+  }
+
   // Remove a tag (deselect)
   removeTag(event) {
     const tag = event.currentTarget.closest("[data-components--multi-select-target='tag']")
@@ -169,15 +447,16 @@ export default class extends Controller {
 
   // Deselect a value
   deselectValue(value) {
+    const tag = this.tagTargets.find((t) => t.dataset.value === value)
+    const label = tag ? this.tagLabel(tag) : value
+
     this.selectedValue = this.selectedValue.filter((v) => v !== value)
     this.updateHiddenInputs()
     this.updateOptionStates()
     this.updatePlaceholder()
-
-    // Restore error state if no selections remain and there was an original error
-    if (this.selectedValue.length === 0 && this.hasOriginalError) {
-      this.restoreError()
-    }
+    this.updateValidity()
+    this.notifyChange()
+    this.announce(this.formatMessage(this.removedMessageValue, { label, count: this.selectedValue.length }))
   }
 
   // Add a tag element
@@ -185,11 +464,23 @@ export default class extends Controller {
     const tag = document.createElement("span")
     tag.setAttribute("data-components--multi-select-target", "tag")
     tag.dataset.value = value
-    tag.className = "inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-50 rounded border border-blue-200"
+    tag.dataset.label = label
+    const parents = this.valueParents(value)
+    if (parents) tag.dataset.parent = JSON.stringify(parents)
+    tag.dataset.action = "keydown->components--multi-select#handleTagKeydown"
+    tag.setAttribute("role", "listitem")
+    tag.tabIndex = -1
+    tag.className = "inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-50 rounded border border-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+    if (this.reorderableValue) {
+      tag.draggable = true
+      tag.classList.add("cursor-move")
+      tag.setAttribute("aria-describedby", `${this.element.id}-reorder-instructions`)
+    }
     tag.innerHTML = `
       <span>${this.escapeHtml(label)}</span>
       <button
         type="button"
+        tabindex="-1"
         data-action="click->components--multi-select#removeTag:stop"
         class="flex items-center justify-center w-3.5 h-3.5 rounded-full hover:bg-blue-200 focus:outline-none focus:ring-1 focus:ring-blue-500"
         aria-label="Remove ${this.escapeHtml(label)}"
@@ -208,8 +499,11 @@ export default class extends Controller {
     // Remove existing hidden inputs
     this.hiddenTargets.forEach((input) => input.remove())
 
+    // Single mode always submits the field, blank when nothing is selected
+    const values = !this.multipleValue && this.selectedValue.length === 0 ? [""] : this.selectedValue
+
     // Add new hidden inputs for each selected value
-    this.selectedValue.forEach((value) => {
+    values.forEach((value) => {
       const input = document.createElement("input")
       input.type = "hidden"
       input.name = this.element.dataset.name
@@ -219,12 +513,26 @@ export default class extends Controller {
     })
   }
 
-  // Update option visual states (checked/unchecked)
+  // Update option visual states (checked/unchecked, disabled)
+  // Only options whose state changed are touched, so icons are not re-rendered
   updateOptionStates() {
+    const limitReached = this.isLimitReached()
+    const selected = new Set(this.selectedValue)
+
     this.optionTargets.forEach((option) => {
       const value = option.dataset.value
-      const isSelected = this.selectedValue.includes(value)
+      const isSelected = selected.has(value)
       const checkbox = option.querySelector("[data-checkbox]")
+      const isDisabled = option.hasAttribute("data-disabled") || (limitReached && !isSelected)
+
+      if (option.getAttribute("aria-disabled") !== String(isDisabled)) {
+        option.setAttribute("aria-disabled", isDisabled)
+        option.classList.toggle("opacity-50", isDisabled)
+        option.classList.toggle("cursor-not-allowed", isDisabled)
+        option.classList.toggle("cursor-pointer", !isDisabled)
+      }
+
+      if (option.getAttribute("aria-selected") === String(isSelected)) return
 
       if (isSelected) {
         option.classList.add("bg-blue-50")
@@ -259,71 +567,105 @@ export default class extends Controller {
     }
   }
 
-  // Clear error state when user makes a valid selection
-  clearError() {
-    // Only clear if there are selections
-    if (this.selectedValue.length === 0) return
+  // Show the error state when the field is empty and either came back from
+  // the server with an error or failed validation on submit
+  updateValidity() {
+    const empty = this.selectedValue.length === 0
+    const invalid = empty && (this.hasOriginalError || (this.validated && this.isRequired()))
 
-    // Hide error message (don't remove, so we can restore it)
+    // Hide messages rather than removing them, so they can be shown again
     if (this.hasErrorTarget) {
-      this.errorTarget.classList.add("hidden")
+      this.errorTarget.classList.toggle("hidden", !invalid)
+    }
+    if (this.hasValidationMessageTarget) {
+      this.validationMessageTarget.classList.toggle("hidden", !invalid || this.hasOriginalError)
     }
 
-    // Remove error styling from trigger
     if (this.hasTriggerTarget) {
-      this.triggerTarget.classList.remove(
-        "border-red-300",
-        "hover:border-red-400",
-        "focus:border-red-500",
-        "focus:ring-red-500"
-      )
-      // Add normal styling
-      this.triggerTarget.classList.add(
-        "border-gray-300",
-        "hover:border-gray-400",
-        "focus:border-blue-500",
-        "focus:ring-blue-500"
-      )
-    }
-
-    // Remove aria-invalid attribute
-    this.element.removeAttribute("aria-invalid")
-  }
-
-  // Restore error state when all selections are removed
-  restoreError() {
-    // Show error message
-    if (this.hasErrorTarget) {
-      this.errorTarget.classList.remove("hidden")
+      this.triggerTarget.classList.remove(...(invalid ? this.constructor.VALID_CLASSES : this.constructor.INVALID_CLASSES))
+      this.triggerTarget.classList.add(...(invalid ? this.constructor.INVALID_CLASSES : this.constructor.VALID_CLASSES))
     }
 
-    // Add error styling to trigger
-    if (this.hasTriggerTarget) {
-      this.triggerTarget.classList.remove(
-        "border-gray-300",
-        "hover:border-gray-400",
-        "focus:border-blue-500",
-        "focus:ring-blue-500"
-      )
-      this.triggerTarget.classList.add(
-        "border-red-300",
-        "hover:border-red-400",
-        "focus:border-red-500",
-        "focus:ring-red-500"
-      )
+    if (invalid) {
+      this.element.setAttribute("aria-invalid", "true")
+    } else {
+      this.element.removeAttribute("aria-invalid")
+    }
+  }
+
+  // Whether a value must be selected before the form is submitted
+  isRequired() {
+    return this.element.hasAttribute("required") && !this.element.hasAttribute("disabled")
+  }
+
+  // Whether the field satisfies its required constraint
+  checkValidity() {
+    return !this.isRequired() || this.selectedValue.length > 0
+  }
+
+  // Block submitting a required field without selection
+  handleFormSubmit(event) {
+    if (this.form.noValidate || event.submitter?.formNoValidate) return
+    if (this.checkValidity()) return
+
+    event.preventDefault()
+    this.validated = true
+    this.updateValidity()
+    if (this.hasTriggerTarget) this.triggerTarget.focus()
+  }
+
+  // Restore the selection the field was rendered with
+  handleFormReset() {
+    this.closeDropdown()
+    this.tagTargets.forEach((tag) => tag.remove())
+
+    this.selectedValue = this.initialSelection.map(({ value }) => value)
+    if (this.multipleValue) {
+      this.initialSelection.forEach(({ value, label }) => this.addTag(value, label))
+    } else {
+      this.renderSelection(this.initialSelection[0]?.label ?? "")
     }
 
-    // Restore aria-invalid attribute
-    this.element.setAttribute("aria-invalid", "true")
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.validated = false
+    this.updateValidity()
+
+    // Native fields are reset after the reset event
+    if (this.isDependent()) setTimeout(() => this.handleParentChange())
+  }
+
+  // Get the selected values with their labels
+  currentSelection() {
+    return this.selectedValue.map((value) => {
+      const tag = this.tagTargets.find((t) => t.dataset.value === value)
+      if (tag) return { value, label: this.tagLabel(tag) }
+
+      const label = this.hasSelectionTarget ? this.selectionTarget.textContent.trim() : value
+      return { value, label }
+    })
+  }
+
+  // Dispatch bubbling input and change events, like a native control
+  notifyChange() {
+    const detail = { values: [...this.selectedValue] }
+    this.element.dispatchEvent(new CustomEvent("input", { bubbles: true, detail }))
+    this.element.dispatchEvent(new CustomEvent("change", { bubbles: true, detail }))
+  }
+
+  // Keep events of the search input from reaching the form
+  stopSearchEvent(event) {
+    event.stopPropagation()
   }
 
   // Show/hide "no results" message
   updateNoResultsMessage() {
-    const visibleOptions = this.optionTargets.filter((opt) => !opt.classList.contains("hidden"))
+    const visibleOptions = this.getVisibleOptions()
     const noResultsEl = this.element.querySelector("[data-no-results]")
 
     if (noResultsEl) {
-      if (visibleOptions.length === 0) {
+      if (visibleOptions.length === 0 && !this.loadingRemote) {
         noResultsEl.classList.remove("hidden")
       } else {
         noResultsEl.classList.add("hidden")
@@ -368,12 +710,13 @@ export default class extends Controller {
 
   // Handle keyboard navigation
   handleKeydown(event) {
-    const visibleOptions = this.getVisibleOptions()
+    const visibleOptions = this.getNavigableOptions()
 
     switch (event.key) {
       case "Escape":
         event.preventDefault()
         this.closeDropdown()
+        if (this.hasTriggerTarget) this.triggerTarget.focus()
         break
       case "ArrowDown":
         event.preventDefault()
@@ -383,15 +726,53 @@ export default class extends Controller {
         event.preventDefault()
         this.highlightPrevious(visibleOptions)
         break
+      case "PageDown":
+        event.preventDefault()
+        this.highlightAt(visibleOptions, Math.max(this.highlightedIndexValue, 0) + this.constructor.PAGE_SIZE)
+        break
+      case "PageUp":
+        event.preventDefault()
+        this.highlightAt(visibleOptions, this.highlightedIndexValue - this.constructor.PAGE_SIZE)
+        break
+      case "Home":
+      case "End":
+        // Move the caret until an option is highlighted
+        if (this.highlightedIndexValue < 0) break
+
+        event.preventDefault()
+        this.highlightAt(visibleOptions, event.key === "Home" ? 0 : visibleOptions.length - 1)
+        break
+      case "ArrowLeft":
+        // Move to the tags from the start of the input
+        if (this.inputTarget.selectionStart === 0 && this.inputTarget.selectionEnd === 0 && this.tagTargets.length > 0) {
+          event.preventDefault()
+          this.focusTag(this.tagTargets.length - 1)
+        }
+        break
       case "Enter":
         event.preventDefault()
         if (this.highlightedIndexValue >= 0 && visibleOptions[this.highlightedIndexValue]) {
           this.selectHighlightedOption(visibleOptions[this.highlightedIndexValue])
+        } else if (this.canCreate()) {
+          this.createFromInput()
+        }
+        break
+      case ",":
+        // Comma separates values, so it creates the tag instead of being typed
+        if (this.canCreate()) {
+          event.preventDefault()
+          this.createFromInput()
+        }
+        break
+      case "Tab":
+        // Let focus move on, the tag is created on the way out
+        if (this.canCreate()) {
+          this.createFromInput()
         }
         break
       case "Backspace":
         // Remove last tag if input is empty
-        if (this.inputTarget.value === "" && this.selectedValue.length > 0) {
+        if (this.multipleValue && this.inputTarget.value === "" && this.selectedValue.length > 0) {
           event.preventDefault()
           const lastTag = this.tagTargets[this.tagTargets.length - 1]
           if (lastTag) {
@@ -404,9 +785,25 @@ export default class extends Controller {
     }
   }
 
-  // Get visible (not hidden) options
+  // Get visible (not hidden) options, the "Create" row last
   getVisibleOptions() {
-    return this.optionTargets.filter((opt) => !opt.classList.contains("hidden"))
+    if (this.isVirtual()) {
+      const entries = this.virtualResults.map(({ entry }) => entry)
+      const createVisible = this.hasCreateOptionTarget && !this.createOptionTarget.classList.contains("hidden")
+      return createVisible ? [...entries, this.createOptionTarget] : entries
+    }
+
+    return this.navigableOptions().filter((opt) => !opt.classList.contains("hidden"))
+  }
+
+  // Get visible options that can be selected, skipping disabled ones
+  getNavigableOptions() {
+    return this.getVisibleOptions().filter((opt) => !this.isOptionDisabled(opt))
+  }
+
+  // Options reachable with the keyboard
+  navigableOptions() {
+    return this.hasCreateOptionTarget ? [...this.optionTargets, this.createOptionTarget] : this.optionTargets
   }
 
   // Highlight next option in list
@@ -428,46 +825,66 @@ export default class extends Controller {
     this.updateHighlight(visibleOptions)
   }
 
+  // Highlight the option at an index, clamped to the list
+  highlightAt(visibleOptions, index) {
+    if (visibleOptions.length === 0) return
+
+    this.highlightedIndexValue = Math.min(Math.max(index, 0), visibleOptions.length - 1)
+    this.updateHighlight(visibleOptions)
+  }
+
   // Update visual highlight on options
   updateHighlight(visibleOptions) {
     // Remove highlight from all options
-    this.optionTargets.forEach((opt) => {
-      opt.classList.remove("bg-blue-100", "ring-2", "ring-blue-500", "ring-inset")
+    this.navigableOptions().forEach((opt) => {
+      opt.classList.remove(...this.constructor.HIGHLIGHT_CLASSES)
     })
 
-    // Add highlight to current option
-    const highlightedOption = visibleOptions[this.highlightedIndexValue]
+    // Add highlight to current option, rendering it first when virtualized
+    let highlightedOption = visibleOptions[this.highlightedIndexValue]
+    this.highlightedEntry = null
+    if (highlightedOption && this.isVirtualEntry(highlightedOption)) {
+      this.highlightedEntry = highlightedOption
+      highlightedOption = this.revealVirtualEntry(highlightedOption)
+    }
+
     if (highlightedOption) {
-      highlightedOption.classList.add("bg-blue-100", "ring-2", "ring-blue-500", "ring-inset")
+      highlightedOption.classList.add(...this.constructor.HIGHLIGHT_CLASSES)
       highlightedOption.scrollIntoView({ block: "nearest" })
 
-      // Set aria-activedescendant for screen reader support
-      if (this.hasTriggerTarget && highlightedOption.id) {
-        this.triggerTarget.setAttribute('aria-activedescendant', highlightedOption.id)
+      // Set aria-activedescendant on the focused input for screen reader support
+      if (this.hasInputTarget && highlightedOption.id) {
+        this.inputTarget.setAttribute('aria-activedescendant', highlightedOption.id)
       }
     } else {
       // Clear aria-activedescendant when no option is highlighted
-      if (this.hasTriggerTarget) {
-        this.triggerTarget.removeAttribute('aria-activedescendant')
+      if (this.hasInputTarget) {
+        this.inputTarget.removeAttribute('aria-activedescendant')
       }
     }
   }
 
   // Select the currently highlighted option
   selectHighlightedOption(option) {
-    const value = option.dataset.value
-    const label = option.dataset.label || option.textContent.trim()
+    if (this.hasCreateOptionTarget && option === this.createOptionTarget) {
+      this.createFromInput()
+      return
+    }
+    if (this.isOptionDisabled(option)) return
+
+    const value = this.optionValue(option)
+    const label = this.optionLabel(option)
+
+    if (!this.multipleValue) {
+      this.chooseValue(value, label)
+      return
+    }
 
     if (this.selectedValue.includes(value)) {
       this.deselectValue(value)
       this.removeTagElement(value)
     } else {
-      this.selectedValue = [...this.selectedValue, value]
-      this.addTag(value, label)
-      this.updateHiddenInputs()
-      this.updateOptionStates()
-      this.updatePlaceholder()
-      this.clearError()
+      this.selectValue(value, label)
     }
 
     // Clear search and reset highlight
@@ -477,19 +894,26 @@ export default class extends Controller {
     }
     this.filterOptions()
     this.highlightedIndexValue = -1
-    this.updateHighlight(this.getVisibleOptions())
+    this.updateHighlight(this.getNavigableOptions())
   }
 
   // Reset highlight when filtering
   resetHighlight() {
     this.highlightedIndexValue = -1
-    this.optionTargets.forEach((opt) => {
-      opt.classList.remove("bg-blue-100", "ring-2", "ring-blue-500", "ring-inset")
+    this.highlightedEntry = null
+    this.navigableOptions().forEach((opt) => {
+      opt.classList.remove(...this.constructor.HIGHLIGHT_CLASSES)
     })
+    if (this.hasInputTarget) {
+      this.inputTarget.removeAttribute("aria-activedescendant")
+    }
   }
 
   // Handle keyboard events on trigger for accessibility
   handleTriggerKeydown(event) {
+    // Keys pressed on a tag are handled by handleTagKeydown
+    if (event.target !== this.triggerTarget) return
+
     switch (event.key) {
       case "Enter":
       case " ":
@@ -506,6 +930,1010 @@ export default class extends Controller {
           this.closeDropdown()
         }
         break
+      case "ArrowLeft":
+        if (this.tagTargets.length > 0) {
+          event.preventDefault()
+          this.focusTag(this.tagTargets.length - 1)
+        }
+        break
+    }
+  }
+
+  // Handle arrow navigation and removal on a focused tag
+  handleTagKeydown(event) {
+    const tag = event.currentTarget
+    const index = this.tagTargets.indexOf(tag)
+
+    // Alt+Left/Right moves the tag instead of the focus
+    if (this.reorderableValue && event.altKey && (event.key === "ArrowLeft" || event.key === "ArrowRight")) {
+      event.preventDefault()
+      this.moveTag(index, event.key === "ArrowLeft" ? index - 1 : index + 1)
+      tag.focus()
+      return
+    }
+
+    switch (event.key) {
+      case "ArrowLeft":
+        event.preventDefault()
+        this.focusTag(Math.max(index - 1, 0))
+        break
+      case "ArrowRight":
+        event.preventDefault()
+        if (index < this.tagTargets.length - 1) {
+          this.focusTag(index + 1)
+        } else {
+          this.focusField()
+        }
+        break
+      case "Home":
+        event.preventDefault()
+        this.focusTag(0)
+        break
+      case "End":
+        event.preventDefault()
+        this.focusTag(this.tagTargets.length - 1)
+        break
+      case "Delete":
+      case "Backspace":
+        event.preventDefault()
+        this.deselectValue(tag.dataset.value)
+        tag.remove()
+
+        // Keep focus on the tag that took its place
+        if (this.tagTargets.length > 0) {
+          this.focusTag(Math.min(index, this.tagTargets.length - 1))
+        } else {
+          this.focusField()
+        }
+        break
+    }
+  }
+
+  // Focus the tag at an index
+  focusTag(index) {
+    this.tagTargets[index]?.focus()
+  }
+
+  // Focus the search input when open, the trigger otherwise
+  focusField() {
+    if (this.openValue && this.hasInputTarget) {
+      this.inputTarget.focus()
+    } else if (this.hasTriggerTarget) {
+      this.triggerTarget.focus()
+    }
+  }
+
+  // Get the label of a tag
+  tagLabel(tag) {
+    return tag.dataset.label ?? tag.textContent.trim()
+  }
+
+  // Whether options are fetched from the search endpoint
+  isRemote() {
+    return this.urlValue !== ""
+  }
+
+  // Search after the user stops typing
+  scheduleSearch() {
+    clearTimeout(this.searchTimeout)
+    this.searchTimeout = setTimeout(() => this.search(), this.debounceValue)
+  }
+
+  // Stop pending and in-flight searches
+  cancelSearch() {
+    clearTimeout(this.searchTimeout)
+    this.searchRequest?.abort()
+    this.searchRequest = null
+    this.setLoading(false)
+  }
+
+  // Fetch the first page of options for the current query
+  search() {
+    const query = this.hasInputTarget ? this.inputTarget.value.trim() : ""
+
+    // Results for this query are already shown
+    if (query === this.remoteQuery && this.remoteLoaded) return
+
+    this.remoteQuery = query
+    this.remoteLoaded = false
+    this.nextPage = null
+
+    if (query.length < this.minQueryLengthValue) {
+      this.cancelSearch()
+      this.renderRemoteOptions([], { append: false })
+      return
+    }
+
+    this.fetchOptions(query, 1, { append: false })
+  }
+
+  // Load the next page when the list is scrolled to the bottom, or render
+  // the options scrolled into view when virtualized
+  handleScroll() {
+    if (this.isVirtual()) {
+      this.scheduleRender()
+      return
+    }
+    if (!this.isRemote() || !this.nextPage || this.loadingRemote) return
+
+    const list = this.listTarget
+    const distance = list.scrollHeight - list.scrollTop - list.clientHeight
+    if (distance > this.constructor.SCROLL_THRESHOLD) return
+
+    this.fetchOptions(this.remoteQuery, this.nextPage, { append: true })
+  }
+
+  // Fetch a page of options, aborting the request in flight
+  async fetchOptions(query, page, { append }) {
+    this.searchRequest?.abort()
+    const request = new AbortController()
+    this.searchRequest = request
+
+    const url = new URL(this.urlValue, window.location.href)
+    url.searchParams.set("q", query)
+    url.searchParams.set("page", page)
+    if (this.isDependent()) this.parentValues.forEach((value) => url.searchParams.append("parent[]", value))
+
+    this.setLoading(true)
+    this.setLoadError(false)
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: "application/json" },
+        signal: request.signal
+      })
+      if (!response.ok) throw new Error(`Search failed with status ${response.status}`)
+
+      const data = await response.json()
+      this.nextPage = data.next_page || null
+      this.remoteLoaded = true
+      this.setLoading(false)
+      this.renderRemoteOptions(data.options || [], { append })
+    } catch (error) {
+      // A newer search replaced this one
+      if (error.name === "AbortError") return
+
+      this.setLoading(false)
+      this.setLoadError(true)
+      if (!append) this.renderRemoteOptions([], { append: false })
+    } finally {
+      if (this.searchRequest === request) this.searchRequest = null
+    }
+  }
+
+  // Render options from search results
+  renderRemoteOptions(options, { append }) {
+    if (!append) {
+      this.optionTargets.forEach((option) => option.remove())
+      this.listTarget.scrollTop = 0
+    }
+
+    const anchor = this.listTarget.querySelector("[data-no-results]")
+    const offset = this.optionTargets.length
+
+    const tokens = this.queryTokens(this.remoteQuery)
+
+    options.forEach(({ value, label, parent }, index) => {
+      const option = this.buildOption(String(value), label ?? String(value), offset + index)
+      if (!option) return
+
+      if (parent != null) option.dataset.parent = JSON.stringify([parent].flat().map(String))
+
+      this.listTarget.insertBefore(option, anchor)
+      const match = this.matchOption(option, tokens)
+      this.highlightMatches(option, match ? match.ranges : [])
+    })
+
+    this.updateOptionStates()
+    this.updateCreateOption()
+    if (!append) this.resetHighlight()
+    this.updateNoResultsMessage()
+  }
+
+  // Build an option element from the option template
+  buildOption(value, label, index) {
+    if (!this.hasOptionTemplateTarget) return null
+
+    const option = this.optionTemplateTarget.content.firstElementChild.cloneNode(true)
+    option.id = `${this.element.id}-option-${index}`
+    option.dataset.value = value
+    option.dataset.label = label
+
+    const labelEl = option.querySelector("[data-option-label]")
+    if (labelEl) labelEl.textContent = label
+
+    return option
+  }
+
+  // Show or hide the loading indicator
+  setLoading(loading) {
+    this.loadingRemote = loading
+    if (this.hasLoadingTarget) {
+      this.loadingTarget.classList.toggle("hidden", !loading)
+    }
+    if (this.hasListTarget) {
+      this.listTarget.setAttribute("aria-busy", loading)
+    }
+  }
+
+  // Show or hide the load error message
+  setLoadError(failed) {
+    if (this.hasLoadErrorTarget) {
+      this.loadErrorTarget.classList.toggle("hidden", !failed)
+    }
+  }
+
+  // Whether the search input holds a value that can be created
+  canCreate() {
+    return this.creatableValue && this.hasInputTarget && this.inputTarget.value.trim() !== ""
+  }
+
+  // Create a tag from the search input
+  async createFromInput(event) {
+    event?.preventDefault()
+    if (!this.canCreate()) return
+
+    const label = this.inputTarget.value.trim()
+    const created = await this.createTag(label)
+
+    // Keep whatever was typed while the tag was being persisted
+    if (created && this.inputTarget.value.trim() === label) {
+      this.resetInput()
+    }
+  }
+
+  // Create one tag per entry when a comma-separated list is pasted
+  handlePaste(event) {
+    if (!this.creatableValue) return
+
+    const text = event.clipboardData?.getData("text") || ""
+    const labels = text.split(/[,\n\t]/).map((label) => label.trim()).filter(Boolean)
+
+    // A single value is pasted into the input as usual
+    if (labels.length < 2) return
+
+    event.preventDefault()
+    this.createTags(labels)
+  }
+
+  // Create tags one after another so they keep the pasted order
+  async createTags(labels) {
+    for (const label of labels) {
+      await this.createTag(label)
+    }
+    this.resetInput()
+  }
+
+  // Select the option or tag matching a label, creating it when missing
+  // Returns whether the label ends up selected
+  async createTag(label) {
+    const key = label.toLowerCase()
+
+    const option = this.findOptionByLabel(label)
+    if (option) {
+      if (this.selectedValue.includes(this.optionValue(option))) return true
+      if (this.isOptionDisabled(option)) return false
+
+      return this.selectValue(this.optionValue(option), this.optionLabel(option))
     }
+
+    if (this.findTagByLabel(label)) return true
+    if (this.pendingLabels.has(key)) return false
+    if (this.isLimitReached()) {
+      this.announce(this.maxSelectionsMessageValue)
+      return false
+    }
+
+    this.pendingLabels.add(key)
+    this.setCreateError(false)
+
+    try {
+      const tag = this.createUrlValue ? await this.persistTag(label) : { value: label, label }
+
+      if (this.selectedValue.includes(tag.value)) return true
+
+      return this.selectValue(tag.value, tag.label)
+    } catch {
+      this.setCreateError(true)
+      return false
+    } finally {
+      this.pendingLabels.delete(key)
+      this.updateCreateOption()
+    }
+  }
+
+  // Persist a new value and return the created { value, label }
+  async persistTag(label) {
+    const response = await fetch(this.createUrlValue, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": this.getCsrfToken(),
+        "Accept": "application/json"
+      },
+      body: JSON.stringify({ label })
+    })
+    if (!response.ok) throw new Error(`Create failed with status ${response.status}`)
+
+    const data = await response.json()
+    return { value: String(data.value), label: data.label ?? label }
+  }
+
+  // Show the "Create" row when the query matches no option or tag
+  updateCreateOption() {
+    if (!this.hasCreateOptionTarget) return
+
+    const label = this.hasInputTarget ? this.inputTarget.value.trim() : ""
+    const creatable = label !== "" && !this.findOptionByLabel(label) && !this.findTagByLabel(label)
+
+    this.createOptionTarget.classList.toggle("hidden", !creatable)
+    if (!creatable) return
+
+    const labelEl = this.createOptionTarget.querySelector("[data-option-label]")
+    if (labelEl) labelEl.textContent = this.formatMessage(this.createLabelValue, { label })
+  }
+
+  // Find the option whose label matches, ignoring case
+  findOptionByLabel(label) {
+    const key = label.toLowerCase()
+    const options = this.isVirtual() ? this.virtualOptions : this.optionTargets
+    return options.find((option) => this.optionLabel(option).toLowerCase() === key)
+  }
+
+  // Find the tag whose label matches, ignoring case
+  findTagByLabel(label) {
+    const key = label.toLowerCase()
+    return this.tagTargets.find((tag) => {
+      return this.tagLabel(tag).toLowerCase() === key
+    })
+  }
+
+  // Get the label of an option element or virtual option
+  optionLabel(option) {
+    if (this.isVirtualEntry(option)) return option.label
+    return option.dataset.label || option.textContent.trim()
+  }
+
+  // Get the value of an option element or virtual option
+  optionValue(option) {
+    return this.isVirtualEntry(option) ? option.value : option.dataset.value
+  }
+
+  // Clear the search input and show all options again
+  resetInput() {
+    if (this.hasInputTarget) {
+      this.inputTarget.value = ""
+      this.inputTarget.focus()
+    }
+    this.filterOptions()
+  }
+
+  // Show or hide the create error message
+  setCreateError(failed) {
+    if (this.hasCreateErrorTarget) {
+      this.createErrorTarget.classList.toggle("hidden", !failed)
+    }
+  }
+
+  // Gets CSRF token from meta tag
+  getCsrfToken() {
+    const token = document.querySelector('meta[name="csrf-token"]')
+    return token ? token.content : ""
+  }
+
+  // Whether an option cannot be selected right now
+  isOptionDisabled(option) {
+    if (this.isVirtualEntry(option)) {
+      return option.disabled || (this.isLimitReached() && !this.selectedValue.includes(option.value))
+    }
+    return option.getAttribute("aria-disabled") === "true" || option.hasAttribute("data-disabled")
+  }
+
+  // Whether no more values can be selected
+  isLimitReached() {
+    return this.maxSelectionsValue > 0 && this.selectedValue.length >= this.maxSelectionsValue
+  }
+
+  // Hide groups whose options are all filtered out
+  updateGroups() {
+    this.groupTargets.forEach((group) => {
+      const hasVisibleOption = this.optionTargets.some((option) => {
+        return group.contains(option) && !option.classList.contains("hidden")
+      })
+      group.classList.toggle("hidden", !hasVisibleOption)
+    })
+  }
+
+  // Select every visible option, up to the selection limit
+  // The selection is updated once so large lists stay responsive
+  selectAllVisible(event) {
+    event?.preventDefault()
+
+    const selected = new Set(this.selectedValue)
+    const remaining = this.maxSelectionsValue > 0 ? this.maxSelectionsValue - selected.size : Infinity
+    const options = this.getVisibleOptions()
+      .filter((option) => !(this.hasCreateOptionTarget && option === this.createOptionTarget))
+      .filter((option) => !selected.has(this.optionValue(option)) && !this.isOptionDisabled(option))
+      .slice(0, Math.max(remaining, 0))
+
+    if (options.length === 0) {
+      if (this.isLimitReached()) this.announce(this.maxSelectionsMessageValue)
+      return
+    }
+
+    options.forEach((option) => this.addTag(this.optionValue(option), this.optionLabel(option)))
+    this.selectedValue = [...this.selectedValue, ...options.map((option) => this.optionValue(option))]
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+    this.notifyChange()
+
+    const count = this.formatMessage(this.selectedCountMessageValue, { count: this.selectedValue.length })
+    this.announce(this.isLimitReached() ? `${count}. ${this.maxSelectionsMessageValue}` : count)
+  }
+
+  // Deselect every value
+  clearAll(event) {
+    event?.preventDefault()
+    if (this.selectedValue.length === 0) return
+
+    this.tagTargets.forEach((tag) => tag.remove())
+    this.selectedValue = []
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+    this.notifyChange()
+    this.announce(this.clearedMessageValue)
+  }
+
+  // Replace %{name} placeholders in a message
+  formatMessage(message, replacements) {
+    return message.replace(/%\{(\w+)\}/g, (match, key) => (key in replacements ? String(replacements[key]) : match))
+  }
+
+  // Announce a message to screen readers
+  announce(message) {
+    if (!this.hasAnnouncerTarget || !message) return
+
+    // Clear first so repeating the same message is announced again
+    this.announcerTarget.textContent = ""
+    requestAnimationFrame(() => {
+      this.announcerTarget.textContent = message
+    })
+  }
+
+  // Split the search input into folded words
+  queryTokens(query = this.hasInputTarget ? this.inputTarget.value : "") {
+    return this.foldText(query || "").text.split(/\s+/).filter(Boolean)
+  }
+
+  // Lowercase text and strip accents, keeping where each folded character
+  // starts and ends in the original text so matches can be highlighted
+  foldText(text) {
+    let folded = ""
+    const starts = []
+    const ends = []
+
+    for (let index = 0; index < text.length;) {
+      const char = String.fromCodePoint(text.codePointAt(index))
+      const foldedChar = char.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase()
+
+      for (let i = 0; i < foldedChar.length; i++) {
+        starts.push(index)
+        ends.push(index + char.length)
+      }
+      folded += foldedChar
+      index += char.length
+    }
+
+    return { text: folded, starts, ends }
+  }
+
+  // Get the folded label and keywords of an option
+  searchEntry(option) {
+    let entry = this.searchIndex.get(option)
+    if (!entry) {
+      const keywords = this.isVirtualEntry(option) ? option.keywords : option.dataset.keywords
+      entry = {
+        label: this.foldText(this.optionLabel(option)),
+        keywords: this.foldText(keywords || "").text
+      }
+      this.searchIndex.set(option, entry)
+    }
+    return entry
+  }
+
+  // Match every query word against an option
+  // Returns { score, ranges } with ranges in the label, or null when a word is missing
+  matchOption(option, tokens) {
+    if (!this.matchesParent(option)) return null
+    if (tokens.length === 0) return { score: 0, ranges: [] }
+
+    const { label, keywords } = this.searchEntry(option)
+    const { keywordRatio } = this.constructor.SCORES
+    let score = 0
+    const ranges = []
+
+    for (const token of tokens) {
+      const labelMatch = this.matchToken(token, label.text)
+      if (labelMatch) {
+        score += labelMatch.score
+        labelMatch.indices.forEach((index) => ranges.push([label.starts[index], label.ends[index]]))
+        continue
+      }
+
+      const keywordMatch = this.matchToken(token, keywords)
+      if (!keywordMatch) return null
+      score += keywordMatch.score * keywordRatio
+    }
+
+    return { score, ranges: this.mergeRanges(ranges) }
+  }
+
+  // Match a word as a substring, or as letters in order in fuzzy mode
+  // Returns { score, indices } with the matched positions, or null
+  matchToken(token, text) {
+    const scores = this.constructor.SCORES
+
+    // Prefer an occurrence at the start of a word
+    let position = text.indexOf(token)
+    const first = position
+    while (position > 0 && !this.isWordStart(text, position)) {
+      position = text.indexOf(token, position + 1)
+    }
+    if (position === -1) position = first
+
+    if (position !== -1) {
+      let score = scores.substring
+      if (position === 0) score += scores.prefix
+      else if (this.isWordStart(text, position)) score += scores.wordStart
+
+      const indices = Array.from({ length: token.length }, (_, i) => position + i)
+      return { score, indices }
+    }
+
+    if (!this.fuzzyValue) return null
+
+    let score = 0
+    let cursor = 0
+    const indices = []
+    for (const char of token) {
+      const index = text.indexOf(char, cursor)
+      if (index === -1) return null
+
+      score += scores.fuzzyChar
+      if (indices.length > 0 && index === indices[indices.length - 1] + 1) score += scores.fuzzyConsecutive
+      if (this.isWordStart(text, index)) score += scores.fuzzyWordStart
+
+      indices.push(index)
+      cursor = index + 1
+    }
+
+    return { score, indices }
+  }
+
+  // Whether a position starts a word
+  isWordStart(text, index) {
+    return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1])
+  }
+
+  // Sort and merge overlapping [start, end] ranges
+  mergeRanges(ranges) {
+    return ranges
+      .sort((a, b) => a[0] - b[0])
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1]
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1])
+        } else {
+          merged.push([...range])
+        }
+        return merged
+      }, [])
+  }
+
+  // Wrap the matched parts of an option label in <mark>
+  highlightMatches(option, ranges) {
+    const labelEl = option.querySelector("[data-option-label]")
+    if (!labelEl) return
+
+    const label = this.optionLabel(option)
+    if (ranges.length === 0) {
+      // Only rewrite labels that are highlighted
+      if (labelEl.childElementCount > 0) labelEl.textContent = label
+      return
+    }
+
+    let html = ""
+    let cursor = 0
+    ranges.forEach(([start, end]) => {
+      html += this.escapeHtml(label.slice(cursor, start))
+      html += `<mark class="bg-yellow-100 text-inherit rounded-sm">${this.escapeHtml(label.slice(start, end))}</mark>`
+      cursor = end
+    })
+    html += this.escapeHtml(label.slice(cursor))
+
+    labelEl.innerHTML = html
+  }
+
+  // Order options by relevance within their list or group, or restore the
+  // original order when there is no query
+  sortOptions(results, byScore) {
+    const order = (option) => this.optionOrder.get(option) ?? Infinity
+    const parents = new Map()
+
+    results.forEach((result) => {
+      const parent = result.option.parentElement
+      if (!parents.has(parent)) parents.set(parent, [])
+      parents.get(parent).push(result)
+    })
+
+    parents.forEach((siblings, parent) => {
+      const anchor = siblings[siblings.length - 1].option.nextSibling
+
+      siblings
+        .sort((a, b) => {
+          if (byScore) {
+            const difference = (b.match?.score ?? -1) - (a.match?.score ?? -1)
+            if (difference !== 0) return difference
+          }
+          return order(a.option) - order(b.option)
+        })
+        .forEach(({ option }) => parent.insertBefore(option, anchor))
+    })
+  }
+
+  // Move a tag to a new position and reorder the selected values to match
+  moveTag(from, to) {
+    const tags = this.tagTargets
+    if (from === to || to < 0 || to >= tags.length) return
+
+    const tag = tags[from]
+    const reference = to > from ? tags[to].nextSibling : tags[to]
+    this.tagsTarget.insertBefore(tag, reference)
+
+    // Values without a tag keep their relative order after the tagged ones
+    const ordered = this.tagTargets.map((t) => t.dataset.value)
+    this.selectedValue = [...ordered, ...this.selectedValue.filter((value) => !ordered.includes(value))]
+    this.updateHiddenInputs()
+    this.notifyChange()
+
+    this.announce(this.formatMessage(this.movedMessageValue, {
+      label: this.tagLabel(tag),
+      position: to + 1,
+      total: this.tagTargets.length
+    }))
+  }
+
+  // Start dragging a tag
+  startReorder(event) {
+    if (!this.reorderableValue) return
+
+    const tag = event.target.closest("[data-components--multi-select-target='tag']")
+    if (!tag) return
+
+    this.reorderIndex = this.tagTargets.indexOf(tag)
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", tag.dataset.value)
+    tag.classList.add("opacity-50")
+  }
+
+  // Show where a dragged tag would be dropped
+  reorderOver(event) {
+    if (this.reorderIndex === undefined) return
+
+    const tag = event.target.closest("[data-components--multi-select-target='tag']")
+    if (!tag) return
+
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "move"
+
+    this.clearReorderIndicator()
+    const after = this.isPointerInRightHalf(event, tag)
+    tag.classList.add(after ? "border-r-2" : "border-l-2", after ? "border-r-blue-500" : "border-l-blue-500")
+  }
+
+  // Drop a dragged tag at its new position
+  reorderDrop(event) {
+    if (this.reorderIndex === undefined) return
+
+    const tag = event.target.closest("[data-components--multi-select-target='tag']")
+    if (!tag) return
+
+    event.preventDefault()
+    event.stopPropagation()
+
+    const from = this.reorderIndex
+    let to = this.tagTargets.indexOf(tag)
+    if (this.isPointerInRightHalf(event, tag)) to += 1
+    // Removing the dragged tag first shifts the following tags left
+    if (to > from) to -= 1
+
+    this.endReorder()
+    this.moveTag(from, to)
+  }
+
+  // Clean up after dragging a tag
+  endReorder() {
+    this.reorderIndex = undefined
+    this.clearReorderIndicator()
+    this.tagTargets.forEach((tag) => tag.classList.remove("opacity-50"))
+  }
+
+  // Whether the pointer is over the right half of an element
+  isPointerInRightHalf(event, element) {
+    const rect = element.getBoundingClientRect()
+    return event.clientX > rect.left + rect.width / 2
+  }
+
+  // Remove drop position indicators from tags
+  clearReorderIndicator() {
+    this.tagTargets.forEach((tag) => {
+      tag.classList.remove("border-l-2", "border-r-2", "border-l-blue-500", "border-r-blue-500")
+    })
+  }
+
+  // Whether options are rendered in a virtual window
+  isVirtual() {
+    return this.virtualizedValue
+  }
+
+  // Whether an option is a virtual option rather than an element
+  isVirtualEntry(option) {
+    return !(option instanceof Element)
+  }
+
+  // Read the virtual options, all of them matching until the user searches
+  setupVirtualOptions() {
+    this.virtualOptions = this.optionsValue.map((option, index) => ({
+      value: String(option.value),
+      label: String(option.label ?? option.value),
+      keywords: option.keywords || "",
+      disabled: Boolean(option.disabled),
+      parents: option.parents ? option.parents.map(String) : null,
+      index
+    }))
+    this.virtualResults = this.virtualOptions.map((entry) => ({ entry, match: { score: 0, ranges: [] } }))
+    this.virtualQuery = ""
+    // Virtual option rendered by each option element
+    this.virtualEntries = new WeakMap()
+  }
+
+  // Match the virtual options against the query and render the first rows
+  // The same query keeps the results and the scroll position
+  filterVirtualOptions() {
+    const tokens = this.queryTokens()
+    const query = tokens.join(" ")
+    if (query === this.virtualQuery) {
+      this.renderWindow()
+      return
+    }
+
+    this.virtualQuery = query
+    const results = []
+
+    this.virtualOptions.forEach((entry) => {
+      const match = this.matchOption(entry, tokens)
+      if (match) results.push({ entry, match })
+    })
+
+    if (this.fuzzyValue && tokens.length > 0) {
+      results.sort((a, b) => (b.match.score - a.match.score) || (a.entry.index - b.entry.index))
+    }
+
+    this.virtualResults = results
+    this.listTarget.scrollTop = 0
+    this.renderWindow()
+  }
+
+  // Render the window on the next frame, once per frame while scrolling
+  scheduleRender() {
+    if (this.renderFrame) return
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null
+      this.renderWindow()
+    })
+  }
+
+  // Render the options in view, plus the overscan rows on each side
+  renderWindow() {
+    if (!this.hasVirtualWindowTarget) return
+
+    const { overscan } = this.constructor.VIRTUAL
+    const rowHeight = this.rowHeight()
+    const results = this.virtualResults
+    const list = this.listTarget
+    const visibleRows = Math.ceil((list.clientHeight || rowHeight * this.constructor.PAGE_SIZE) / rowHeight)
+    const start = Math.max(Math.floor(list.scrollTop / rowHeight) - overscan, 0)
+    const end = Math.min(start + visibleRows + overscan * 2, results.length)
+
+    this.virtualSpacerTarget.style.height = `${results.length * rowHeight}px`
+    this.virtualWindowTarget.style.transform = `translateY(${start * rowHeight}px)`
+
+    const rows = results.slice(start, end).map(({ entry, match }, offset) => {
+      const option = this.buildOption(entry.value, entry.label, entry.index)
+      option.setAttribute("aria-setsize", results.length)
+      option.setAttribute("aria-posinset", start + offset + 1)
+      if (entry.disabled) option.setAttribute("data-disabled", "")
+      if (entry === this.highlightedEntry) option.classList.add(...this.constructor.HIGHLIGHT_CLASSES)
+
+      this.virtualEntries.set(option, entry)
+      this.highlightMatches(option, match.ranges)
+      return option
+    })
+
+    this.virtualWindowTarget.replaceChildren(...rows)
+    this.updateOptionStates()
+
+    // Measure the real row height once the list is visible
+    if (!this.measuredRowHeight && rows[0]?.offsetHeight) {
+      this.measuredRowHeight = rows[0].offsetHeight
+      if (this.measuredRowHeight !== rowHeight) this.renderWindow()
+    }
+  }
+
+  // Height of an option row
+  rowHeight() {
+    return this.measuredRowHeight || this.constructor.VIRTUAL.rowHeight
+  }
+
+  // Scroll a virtual option into view and return its rendered element
+  revealVirtualEntry(entry) {
+    const position = this.virtualResults.findIndex((result) => result.entry === entry)
+    if (position === -1) return null
+
+    const rowHeight = this.rowHeight()
+    const list = this.listTarget
+    const top = position * rowHeight
+
+    if (top < list.scrollTop) {
+      list.scrollTop = top
+    } else if (top + rowHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = top + rowHeight - list.clientHeight
+    }
+
+    this.renderWindow()
+    return this.optionTargets.find((option) => this.virtualEntries.get(option) === entry) || null
+  }
+
+  // Whether the options depend on the selection of another field
+  isDependent() {
+    return this.dependsOnValue !== ""
+  }
+
+  // Listen to the parent field and apply its current selection
+  connectParent() {
+    this.placeholderText = this.hasPlaceholderTarget ? this.placeholderTarget.textContent : ""
+    this.parentField = document.getElementById(this.dependsOnValue)
+    this.boundHandleParentChange = this.handleParentChange.bind(this)
+    this.parentField?.addEventListener("change", this.boundHandleParentChange)
+
+    this.parentValues = this.readParentValues()
+    this.setAwaitingParent(this.parentValues.length === 0)
+    if (!this.isRemote() && !this.isVirtual()) this.filterOptions()
+  }
+
+  // Refresh the options and drop the selected values the new parent excludes
+  handleParentChange() {
+    const values = this.readParentValues()
+    if (values.join("\n") === this.parentValues.join("\n")) return
+
+    this.parentValues = values
+    this.setAwaitingParent(values.length === 0)
+    this.dropExcludedValues()
+
+    if (this.isRemote()) {
+      // Search again for the new parent on open, or right away when open
+      this.remoteLoaded = false
+      this.renderRemoteOptions([], { append: false })
+      if (this.openValue) this.search()
+    } else {
+      this.virtualQuery = null
+      this.filterOptions()
+    }
+  }
+
+  // Values selected in the parent field, read from its named controls
+  readParentValues() {
+    const field = this.parentField
+    if (!field) return []
+
+    const controls = field.matches("input, select, textarea")
+      ? [field]
+      : Array.from(field.querySelectorAll("input, select, textarea"))
+
+    return controls.flatMap((control) => {
+      // The search input of a parent multi-select has no name
+      if (!control.name || control.disabled) return []
+      if (control.matches("select")) return Array.from(control.selectedOptions, (option) => option.value)
+      if ((control.type === "checkbox" || control.type === "radio") && !control.checked) return []
+      return [control.value]
+    }).filter((value) => value !== "")
+  }
+
+  // Disable the field with a placeholder naming the parent until it has a value
+  setAwaitingParent(awaiting) {
+    this.awaitingParent = awaiting
+    if (awaiting) this.closeDropdown()
+
+    if (this.hasTriggerTarget) {
+      this.triggerTarget.classList.remove(...(awaiting ? this.constructor.READY_CLASSES : this.constructor.AWAITING_CLASSES))
+      this.triggerTarget.classList.add(...(awaiting ? this.constructor.AWAITING_CLASSES : this.constructor.READY_CLASSES))
+      if (awaiting) {
+        this.triggerTarget.setAttribute("aria-disabled", "true")
+      } else {
+        this.triggerTarget.removeAttribute("aria-disabled")
+      }
+    }
+
+    if (this.hasPlaceholderTarget) {
+      this.placeholderTarget.textContent = awaiting
+        ? this.formatMessage(this.awaitingParentMessageValue, { parent: this.parentLabel() })
+        : this.placeholderText
+    }
+  }
+
+  // Text of the parent field label, without the required indicator
+  parentLabel() {
+    const label = document.querySelector(`label[for="${CSS.escape(this.dependsOnValue)}"]`)
+    if (!label) return this.dependsOnValue
+
+    const copy = label.cloneNode(true)
+    copy.querySelectorAll("[aria-hidden]").forEach((element) => element.remove())
+    return copy.textContent.trim()
+  }
+
+  // Whether an option belongs to a value selected in the parent
+  matchesParent(option) {
+    if (!this.isDependent()) return true
+
+    const parents = this.isVirtualEntry(option) ? option.parents : this.parseParents(option)
+    return !parents || parents.some((parent) => this.parentValues.includes(parent))
+  }
+
+  // Parent values of a selected value, from its option or tag
+  // Returns null when it belongs to every parent
+  valueParents(value) {
+    if (this.isVirtual()) {
+      const entry = this.virtualOptions.find((option) => option.value === value)
+      if (entry) return entry.parents
+    }
+
+    const element = [...this.optionTargets, ...this.tagTargets].find((el) => el.dataset.value === value)
+    return element ? this.parseParents(element) : null
+  }
+
+  // Read the JSON parent values of an option or tag element
+  parseParents(element) {
+    return element.dataset.parent ? JSON.parse(element.dataset.parent) : null
+  }
+
+  // Remove the selected values that do not belong to the parent selection
+  // Every value is dropped when the parent is empty
+  dropExcludedValues() {
+    const dropped = this.currentSelection().filter(({ value }) => {
+      if (this.parentValues.length === 0) return true
+
+      const parents = this.valueParents(value)
+      return parents && !parents.some((parent) => this.parentValues.includes(parent))
+    })
+    if (dropped.length === 0) return
+
+    const values = dropped.map(({ value }) => value)
+    values.forEach((value) => this.removeTagElement(value))
+    this.selectedValue = this.selectedValue.filter((value) => !values.includes(value))
+    if (!this.multipleValue) this.renderSelection("")
+
+    this.updateHiddenInputs()
+    this.updateOptionStates()
+    this.updatePlaceholder()
+    this.updateValidity()
+    this.announce(this.formatMessage(this.droppedMessageValue, { labels: dropped.map(({ label }) => label).join(", ") }))
+
+    if (!this.multipleValue) this.dispatch("change", { prefix: "multi-select", detail: { value: null, label: null } })
+    this.notifyChange()
   }
 }
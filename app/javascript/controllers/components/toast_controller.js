@@ -9,6 +9,9 @@ import { Controller } from "@hotwired/stimulus"
  * Targets:
  * - progressBar: Optional progress bar element that animates during countdown
  *
+ * The message text is marked with `data-toast-message` for scripts building
+ * toasts from a rendered template.
+ *
  * Values:
  * - timeout: Number of milliseconds before auto-dismiss (default: 5000)
  * - autoDismiss: Whether to auto-dismiss the toast (default: true)
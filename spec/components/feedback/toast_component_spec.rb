@@ -12,6 +12,12 @@ RSpec.describe Feedback::ToastComponent, type: :component do
         expect(page).to have_text("Toast message")
       end
 
+      it "marks the message for scripts" do
+        render_inline(described_class.new(message: "Toast message"))
+
+        expect(page).to have_css("[data-toast-message]", text: "Toast message")
+      end
+
       it "renders with default type (info)" do
         render_inline(described_class.new(message: "Info toast"))
 
@@ -75,6 +75,35 @@ RSpec.describe Form::Field::FileUploadComponent, type: :component do
 
       expect(component.instance_variable_get(:@preview)).to eq(true)
     end
+
+    it "accepts direct_upload_url parameter" do
+      component = described_class.new(name: "document", direct_upload_url: "/uploads")
+
+      expect(component.instance_variable_get(:@direct_upload_url)).to eq("/uploads")
+    end
+
+    it "defaults chunk_size to 5MB" do
+      component = described_class.new(name: "document")
+
+      expect(component.instance_variable_get(:@chunk_size)).to eq(5 * 1024 * 1024)
+    end
+
+    it "accepts image processing parameters" do
+      component = described_class.new(
+        name: "photo",
+        image_max_width: 1600,
+        image_max_height: 1200,
+        image_quality: 0.8,
+        image_type: "image/jpeg",
+        strip_metadata: true
+      )
+
+      expect(component.instance_variable_get(:@image_max_width)).to eq(1600)
+      expect(component.instance_variable_get(:@image_max_height)).to eq(1200)
+      expect(component.instance_variable_get(:@image_quality)).to eq(0.8)
+      expect(component.instance_variable_get(:@image_type)).to eq("image/jpeg")
+      expect(component.instance_variable_get(:@strip_metadata)).to eq(true)
+    end
   end
 
   describe "rendering" do
@@ -402,6 +431,28 @@ RSpec.describe Form::Field::FileUploadComponent, type: :component do
         expect(page).to have_css('template[data-components--file-upload-target="imagePreviewTemplate"]', visible: :all)
       end
 
+      it "renders rich preview templates" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).to have_css('template[data-components--file-upload-target="pdfPreviewTemplate"]', visible: :all)
+        expect(page).to have_css('template[data-components--file-upload-target="videoPreviewTemplate"]', visible: :all)
+        expect(page).to have_css('template[data-components--file-upload-target="audioPreviewTemplate"]', visible: :all)
+        expect(page).to have_css('template[data-components--file-upload-target="textPreviewTemplate"]', visible: :all)
+      end
+
+      it "renders the PDF preview as a thumbnail image" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).to have_css('template[data-components--file-upload-target="pdfPreviewTemplate"] img[data-preview-pdf]', visible: :all)
+        expect(page).not_to have_css("template object", visible: :all)
+      end
+
+      it "renders play button in audio preview template" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).to have_css('template button[data-preview-play][data-action="click->components--file-upload#togglePreviewPlayback"]', visible: :all)
+      end
+
       it "renders file icon template" do
         render_inline(described_class.new(name: "document"))
 
@@ -461,6 +512,30 @@ RSpec.describe Form::Field::FileUploadComponent, type: :component do
         expect(page).to have_css('[data-action*="click->components--file-upload#handleDropZoneClick"]')
       end
 
+      it "includes paste action on drop zone" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).to have_css('[data-action*="paste->components--file-upload#handlePaste"]')
+      end
+
+      it "includes path field value when set" do
+        render_inline(described_class.new(name: "files[]", multiple: true, path_field: "paths[]"))
+
+        expect(page).to have_css('[data-components--file-upload-path-field-value="paths[]"]')
+      end
+
+      it "does not include path field value by default" do
+        render_inline(described_class.new(name: "files[]", multiple: true))
+
+        expect(page).not_to have_css("[data-components--file-upload-path-field-value]")
+      end
+
+      it "renders file path element in file item template" do
+        render_inline(described_class.new(name: "files[]", multiple: true))
+
+        expect(page).to have_css("template [data-file-path]", visible: :all)
+      end
+
       it "includes keydown action for accessibility" do
         render_inline(described_class.new(name: "document"))
 
@@ -479,6 +554,400 @@ RSpec.describe Form::Field::FileUploadComponent, type: :component do
         expect(page).to have_css('input[data-components--file-upload-target="input"]', visible: :all)
       end
     end
+
+    context "with image processing" do
+      it "includes image processing values" do
+        render_inline(described_class.new(
+          name: "photo",
+          image_max_width: 1600,
+          image_max_height: 1200,
+          image_quality: 0.8,
+          image_type: "image/jpeg",
+          strip_metadata: true
+        ))
+
+        expect(page).to have_css('[data-components--file-upload-image-max-width-value="1600"]')
+        expect(page).to have_css('[data-components--file-upload-image-max-height-value="1200"]')
+        expect(page).to have_css('[data-components--file-upload-image-quality-value="0.8"]')
+        expect(page).to have_css('[data-components--file-upload-image-type-value="image/jpeg"]')
+        expect(page).to have_css('[data-components--file-upload-strip-metadata-value="true"]')
+      end
+
+      it "omits unset image processing values" do
+        render_inline(described_class.new(name: "photo", image_max_width: 1600))
+
+        expect(page).to have_css('[data-components--file-upload-image-max-width-value="1600"]')
+        expect(page).not_to have_css("[data-components--file-upload-image-max-height-value]")
+        expect(page).not_to have_css("[data-components--file-upload-image-type-value]")
+      end
+
+      it "does not include image processing values by default" do
+        render_inline(described_class.new(name: "photo"))
+
+        expect(page).not_to have_css("[data-components--file-upload-image-max-width-value]")
+        expect(page).not_to have_css("[data-components--file-upload-strip-metadata-value]")
+      end
+    end
+
+    context "with image editor" do
+      it "renders editor modal" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).to have_css('dialog#avatar-image-editor[data-components--file-upload-target="editor"]', visible: :all)
+        expect(page).to have_css('dialog[data-controller="components--modal"]', visible: :all)
+      end
+
+      it "renders keyboard operable editor canvas" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).to have_css('canvas[tabindex="0"][data-components--file-upload-target="editorCanvas"]', visible: :all)
+        expect(page).to have_css('canvas[data-action*="keydown->components--file-upload#handleEditorKeydown"]', visible: :all)
+        expect(page).to have_css('canvas[aria-describedby="avatar-image-editor-help"]', visible: :all)
+      end
+
+      it "renders zoom, rotate and apply controls" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).to have_css('input[type="range"][data-components--file-upload-target="editorZoom"]', visible: :all)
+        expect(page).to have_css('button[data-action="click->components--file-upload#rotateImage"]', visible: :all)
+        expect(page).to have_css('button[data-action="click->components--file-upload#applyImageEdit"]', visible: :all)
+      end
+
+      it "renders clickable image preview" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).to have_css('template button[data-action="click->components--file-upload#editImage"] img[data-preview-image]', visible: :all)
+      end
+
+      it "renders aspect lock and value when crop aspect ratio is set" do
+        render_inline(described_class.new(name: "avatar", image_editor: true, crop_aspect_ratio: 1))
+
+        expect(page).to have_css('input[type="checkbox"][data-components--file-upload-target="editorAspectLock"]', visible: :all)
+        expect(page).to have_css('[data-components--file-upload-crop-aspect-ratio-value="1"]')
+      end
+
+      it "does not render aspect lock without crop aspect ratio" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).not_to have_css('[data-components--file-upload-target="editorAspectLock"]', visible: :all)
+      end
+
+      it "listens for the editor modal closing" do
+        render_inline(described_class.new(name: "avatar", image_editor: true))
+
+        expect(page).to have_css('[data-action="components--modal:close->components--file-upload#handleEditorClose"]')
+      end
+
+      it "does not render editor by default" do
+        render_inline(described_class.new(name: "avatar"))
+
+        expect(page).not_to have_css("dialog", visible: :all)
+        expect(page).not_to have_css("template button[data-action*='editImage']", visible: :all)
+      end
+
+      it "does not render editor when preview is disabled" do
+        render_inline(described_class.new(name: "avatar", image_editor: true, preview: false))
+
+        expect(page).not_to have_css("dialog", visible: :all)
+      end
+    end
+
+    context "with direct uploads" do
+      it "includes direct upload url value" do
+        render_inline(described_class.new(name: "document", direct_upload_url: "/uploads"))
+
+        expect(page).to have_css('[data-components--file-upload-direct-upload-url-value="/uploads"]')
+        expect(page).not_to have_css("[data-components--file-upload-chunk-size-value]")
+      end
+
+      it "includes resumable upload url and chunk size values" do
+        render_inline(described_class.new(
+          name: "document",
+          resumable_upload_url: "/resumable_uploads",
+          chunk_size: 2.megabytes
+        ))
+
+        expect(page).to have_css('[data-components--file-upload-resumable-upload-url-value="/resumable_uploads"]')
+        expect(page).to have_css("[data-components--file-upload-chunk-size-value=\"#{2.megabytes}\"]")
+        expect(page).not_to have_css("[data-components--file-upload-direct-upload-url-value]")
+      end
+
+      it "renders upload progress for resumable uploads" do
+        render_inline(described_class.new(name: "document", resumable_upload_url: "/resumable_uploads"))
+
+        expect(page).to have_css('template [data-file-progress][role="progressbar"]', visible: :all)
+      end
+
+      it "does not include direct upload values by default" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).not_to have_css("[data-components--file-upload-direct-upload-url-value]")
+        expect(page).not_to have_css("[data-components--file-upload-resumable-upload-url-value]")
+      end
+
+      it "renders progress bar and status in file item template" do
+        render_inline(described_class.new(name: "document", direct_upload_url: "/uploads"))
+
+        expect(page).to have_css('template [data-file-progress][role="progressbar"]', visible: :all)
+        expect(page).to have_css("template [data-file-progress-bar]", visible: :all)
+        expect(page).to have_css("template [data-file-status]", visible: :all)
+      end
+
+      it "renders retry and cancel actions in file item template" do
+        render_inline(described_class.new(name: "document", direct_upload_url: "/uploads"))
+
+        expect(page).to have_css('template [data-file-action="retry"][data-action="click->components--file-upload#retryUpload"]', visible: :all)
+        expect(page).to have_css('template [data-file-action="cancel"][data-action="click->components--file-upload#cancelUpload"]', visible: :all)
+      end
+
+      it "does not render retry and cancel actions without direct uploads" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).not_to have_css("template [data-file-action]", visible: :all)
+      end
+
+      it "does not render progress bar without direct uploads" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).not_to have_css("template [data-file-progress]", visible: :all)
+      end
+    end
+
+    context "with existing attachments" do
+      let(:attachments) do
+        [
+          { name: "plan.pdf", size: 2048, signed_id: "signed-1", content_type: "application/pdf" },
+          { name: "photo.jpg", size: 4096, signed_id: "signed-2", content_type: "image/jpeg", url: "/photo-thumb.jpg" }
+        ]
+      end
+
+      it "includes attachments as JSON" do
+        render_inline(described_class.new(name: "project[attachments][]", multiple: true, attachments: attachments))
+
+        value = page.find("[data-components--file-upload-attachments-value]")["data-components--file-upload-attachments-value"]
+
+        expect(JSON.parse(value)).to eq([
+          { "name" => "plan.pdf", "size" => 2048, "signedId" => "signed-1", "contentType" => "application/pdf" },
+          { "name" => "photo.jpg", "size" => 4096, "signedId" => "signed-2", "url" => "/photo-thumb.jpg", "contentType" => "image/jpeg" }
+        ])
+      end
+
+      it "derives purge field from the input name" do
+        render_inline(described_class.new(name: "project[attachments][]", multiple: true, attachments: attachments))
+
+        expect(page).to have_css('[data-components--file-upload-purge-field-value="project[purge_attachments][]"]')
+      end
+
+      it "derives purge field from a plain input name" do
+        render_inline(described_class.new(name: "avatar", attachments: attachments.first(1)))
+
+        expect(page).to have_css('[data-components--file-upload-purge-field-value="purge_avatar[]"]')
+      end
+
+      it "uses custom purge field" do
+        render_inline(described_class.new(name: "files[]", multiple: true, attachments: attachments, purge_field: "remove_ids[]"))
+
+        expect(page).to have_css('[data-components--file-upload-purge-field-value="remove_ids[]"]')
+      end
+
+      it "does not require a new file while attachments exist" do
+        render_inline(described_class.new(name: "contract", required: true, attachments: attachments.first(1)))
+
+        expect(page).not_to have_css("input[type='file'][required]", visible: :all)
+        expect(page).to have_css("input[type='file'][data-required-without-attachments]", visible: :all)
+      end
+
+      it "does not include attachment values by default" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).not_to have_css("[data-components--file-upload-attachments-value]")
+        expect(page).not_to have_css("[data-components--file-upload-purge-field-value]")
+      end
+    end
+
+    context "with translations" do
+      it "passes translated messages to the controller" do
+        I18n.with_locale(:fr) do
+          render_inline(described_class.new(name: "document"))
+        end
+
+        translations = JSON.parse(page.find("[data-components--file-upload-translations-value]")["data-components--file-upload-translations-value"])
+
+        expect(translations["file_type_not_allowed"]).to eq("« %{name} » n'est pas un type de fichier autorisé")
+        expect(translations["max_files_exceeded"]).to include("one", "other")
+      end
+
+      it "passes storage units for size formatting" do
+        render_inline(described_class.new(name: "document"))
+
+        translations = JSON.parse(page.find("[data-components--file-upload-translations-value]")["data-components--file-upload-translations-value"])
+
+        expect(translations["storage_format"]).to be_present
+        expect(translations["storage_units"]).to include("kb", "mb")
+      end
+
+      it "passes the message blocking submit while uploads have failed" do
+        I18n.with_locale(:fr) do
+          render_inline(described_class.new(name: "document", direct_upload_url: "/uploads"))
+        end
+
+        translations = JSON.parse(page.find("[data-components--file-upload-translations-value]")["data-components--file-upload-translations-value"])
+
+        expect(translations["uploads_failed"]).to start_with("Certains fichiers n'ont pas été téléversés")
+      end
+
+      it "includes the current locale" do
+        I18n.with_locale(:fr) do
+          render_inline(described_class.new(name: "document"))
+        end
+
+        expect(page).to have_css('[data-components--file-upload-locale-value="fr"]')
+      end
+    end
+
+    context "with validators" do
+      it "includes content and duplicate checks when enabled" do
+        render_inline(described_class.new(name: "files[]", multiple: true, verify_content: true, reject_duplicates: true))
+
+        expect(page).to have_css('[data-components--file-upload-verify-content-value="true"]')
+        expect(page).to have_css('[data-components--file-upload-reject-duplicates-value="true"]')
+      end
+
+      it "includes image dimensions as JSON" do
+        render_inline(described_class.new(
+          name: "photo",
+          min_image_dimensions: { width: 800, height: 600 },
+          max_image_dimensions: { width: 4000, height: 3000 }
+        ))
+
+        expect(page).to have_css(%q([data-components--file-upload-min-image-dimensions-value='{"width":800,"height":600}']))
+        expect(page).to have_css(%q([data-components--file-upload-max-image-dimensions-value='{"width":4000,"height":3000}']))
+      end
+
+      it "includes total size and custom validators" do
+        render_inline(described_class.new(
+          name: "files[]",
+          multiple: true,
+          max_total_size: 50.megabytes,
+          validators: [ :noScreenshots ]
+        ))
+
+        expect(page).to have_css("[data-components--file-upload-max-total-size-value=\"#{50.megabytes}\"]")
+        expect(page).to have_css(%q([data-components--file-upload-validators-value='["noScreenshots"]']))
+      end
+
+      it "does not include validator values by default" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).not_to have_css("[data-components--file-upload-verify-content-value]")
+        expect(page).not_to have_css("[data-components--file-upload-min-image-dimensions-value]")
+        expect(page).not_to have_css("[data-components--file-upload-max-total-size-value]")
+        expect(page).not_to have_css("[data-components--file-upload-validators-value]")
+      end
+
+      it "renders per file error element in file item template" do
+        render_inline(described_class.new(name: "document"))
+
+        expect(page).to have_css("template [data-file-error]", visible: :all)
+      end
+    end
+
+    context "with reorderable files" do
+      it "includes reorderable and position field values" do
+        render_inline(described_class.new(
+          name: "photos[]",
+          multiple: true,
+          reorderable: true,
+          position_field: "positions[]"
+        ))
+
+        expect(page).to have_css('[data-components--file-upload-reorderable-value="true"]')
+        expect(page).to have_css('[data-components--file-upload-position-field-value="positions[]"]')
+      end
+
+      it "renders drag handle and reorder actions in file item template" do
+        render_inline(described_class.new(name: "photos[]", multiple: true, reorderable: true))
+
+        expect(page).to have_css('template [data-file-item][data-action*="dragstart->components--file-upload#startReorder"]', visible: :all)
+        expect(page).to have_css('template [data-file-item][data-action*="keydown->components--file-upload#handleItemKeydown"]', visible: :all)
+        expect(page).to have_css('template button[data-drag-handle][aria-describedby="photos[]-reorder-instructions"]', visible: :all)
+      end
+
+      it "renders live region for move announcements" do
+        render_inline(described_class.new(name: "photos[]", multiple: true, reorderable: true))
+
+        expect(page).to have_css('[aria-live="polite"][data-components--file-upload-target="announcer"]', visible: :all)
+      end
+
+      it "does not render drag handle for single file upload" do
+        render_inline(described_class.new(name: "photo", reorderable: true))
+
+        expect(page).not_to have_css("template [data-drag-handle]", visible: :all)
+        expect(page).not_to have_css("[data-components--file-upload-reorderable-value]")
+      end
+    end
+  end
+
+  describe "validation" do
+    it "raises error when both upload endpoints are given" do
+      expect {
+        described_class.new(name: "document", direct_upload_url: "/uploads", resumable_upload_url: "/resumable_uploads")
+      }.to raise_error(ArgumentError, /Invalid upload endpoints/)
+    end
+
+    it "raises error for non positive chunk size" do
+      expect {
+        described_class.new(name: "document", resumable_upload_url: "/resumable_uploads", chunk_size: 0)
+      }.to raise_error(ArgumentError, /Invalid chunk_size/)
+    end
+
+    it "raises error for attachments without signed id" do
+      expect {
+        described_class.new(name: "files[]", attachments: [ { name: "plan.pdf", size: 10 } ])
+      }.to raise_error(ArgumentError, /Invalid attachment/)
+    end
+
+    it "raises error for image dimensions without height" do
+      expect {
+        described_class.new(name: "photo", min_image_dimensions: { width: 800 })
+      }.to raise_error(ArgumentError, /Invalid min_image_dimensions/)
+    end
+
+    it "raises error for non positive image dimensions" do
+      expect {
+        described_class.new(name: "photo", max_image_dimensions: { width: 0, height: 600 })
+      }.to raise_error(ArgumentError, /Invalid max_image_dimensions/)
+    end
+
+    it "accepts valid image dimensions" do
+      expect {
+        described_class.new(name: "photo", min_image_dimensions: { width: 800, height: 600 })
+      }.not_to raise_error
+    end
+
+    it "raises error for image quality above 1" do
+      expect {
+        described_class.new(name: "photo", image_quality: 1.5)
+      }.to raise_error(ArgumentError, /Invalid image_quality/)
+    end
+
+    it "raises error for negative image quality" do
+      expect {
+        described_class.new(name: "photo", image_quality: -0.1)
+      }.to raise_error(ArgumentError, /Invalid image_quality/)
+    end
+
+    it "raises error for unsupported image type" do
+      expect {
+        described_class.new(name: "photo", image_type: "image/gif")
+      }.to raise_error(ArgumentError, /Invalid image_type/)
+    end
+
+    it "raises error for non-positive crop aspect ratio" do
+      expect {
+        described_class.new(name: "photo", crop_aspect_ratio: 0)
+      }.to raise_error(ArgumentError, /Invalid crop_aspect_ratio/)
+    end
   end
 
   describe "accessibility" do
@@ -613,6 +1082,88 @@ RSpec.describe Form::Field::FileUploadComponent, type: :component do
     end
   end
 
+  describe "#direct_upload?" do
+    it "returns true when a direct upload url is set" do
+      component = described_class.new(name: "doc", direct_upload_url: "/uploads")
+
+      expect(component.direct_upload?).to eq(true)
+    end
+
+    it "returns true when a resumable upload url is set" do
+      component = described_class.new(name: "doc", resumable_upload_url: "/resumable_uploads")
+
+      expect(component.direct_upload?).to eq(true)
+    end
+
+    it "returns false by default" do
+      component = described_class.new(name: "doc")
+
+      expect(component.direct_upload?).to eq(false)
+    end
+  end
+
+  describe "#image_editor?" do
+    it "returns true when image editor is enabled" do
+      component = described_class.new(name: "avatar", image_editor: true)
+
+      expect(component.image_editor?).to eq(true)
+    end
+
+    it "returns false when preview is disabled" do
+      component = described_class.new(name: "avatar", image_editor: true, preview: false)
+
+      expect(component.image_editor?).to eq(false)
+    end
+  end
+
+  describe "#attachments?" do
+    it "returns true with attachments" do
+      component = described_class.new(name: "files[]", attachments: [ { name: "plan.pdf", signed_id: "signed-1" } ])
+
+      expect(component.attachments?).to eq(true)
+    end
+
+    it "returns false by default" do
+      component = described_class.new(name: "files[]")
+
+      expect(component.attachments?).to eq(false)
+    end
+  end
+
+  describe "#reorderable?" do
+    it "returns true for reorderable multiple upload" do
+      component = described_class.new(name: "photos[]", multiple: true, reorderable: true)
+
+      expect(component.reorderable?).to eq(true)
+    end
+
+    it "returns false for single file upload" do
+      component = described_class.new(name: "photo", reorderable: true)
+
+      expect(component.reorderable?).to eq(false)
+    end
+  end
+
+  describe "#image_processing?" do
+    it "returns true when a max dimension is set" do
+      component = described_class.new(name: "photo", image_max_width: 1600)
+
+      expect(component.image_processing?).to eq(true)
+    end
+
+    it "returns true when stripping metadata" do
+      component = described_class.new(name: "photo", strip_metadata: true)
+
+      expect(component.image_processing?).to eq(true)
+    end
+
+    it "returns false by default" do
+      component = described_class.new(name: "photo")
+
+      expect(component.image_processing?).to eq(false)
+    end
+  end
+
   describe "#drop_zone_text" do
     it "returns custom text when provided" do
       component = described_class.new(name: "doc", drop_text: "Drag here")
@@ -104,28 +104,28 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
     end
 
     context "with trigger button" do
-      it "renders combobox trigger element" do
+      it "renders trigger button controlling the listbox" do
         render_inline(described_class.new(name: "tags[]"))
 
-        expect(page).to have_css('[role="combobox"][aria-haspopup="listbox"]')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"][role="button"][aria-haspopup="listbox"][aria-controls="tags-listbox"]')
       end
 
       it "renders trigger with aria-expanded attribute" do
         render_inline(described_class.new(name: "tags[]"))
 
-        expect(page).to have_css('[role="combobox"][aria-expanded="false"]')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"][aria-expanded="false"]')
       end
 
       it "renders trigger with tabindex for keyboard focus" do
         render_inline(described_class.new(name: "tags[]"))
 
-        expect(page).to have_css('[role="combobox"][tabindex="0"]')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"][tabindex="0"]')
       end
 
       it "renders trigger with -1 tabindex when disabled" do
         render_inline(described_class.new(name: "tags[]", disabled: true))
 
-        expect(page).to have_css('[role="combobox"][tabindex="-1"]')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"][tabindex="-1"]')
       end
     end
 
@@ -322,7 +322,7 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
       it "applies disabled styling to trigger" do
         render_inline(described_class.new(name: "tags[]", disabled: true))
 
-        expect(page).to have_css('[role="combobox"].cursor-not-allowed')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"].cursor-not-allowed')
       end
     end
 
@@ -330,7 +330,7 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
       it "applies error styling to trigger" do
         render_inline(described_class.new(name: "tags[]", error: "Invalid"))
 
-        expect(page).to have_css('[role="combobox"].border-red-300')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"].border-red-300')
       end
 
       it "sets aria-invalid attribute" do
@@ -354,7 +354,7 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
           size: :small
         ))
 
-        expect(page).to have_css('[role="combobox"].px-2\\.5.py-1\\.5.text-xs')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"].px-2\\.5.py-1\\.5.text-xs')
       end
 
       it "applies medium size classes to trigger" do
@@ -364,7 +364,7 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
           size: :medium
         ))
 
-        expect(page).to have_css('[role="combobox"].px-3.py-2.text-sm')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"].px-3.py-2.text-sm')
       end
 
       it "applies large size classes to trigger" do
@@ -374,21 +374,21 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
           size: :large
         ))
 
-        expect(page).to have_css('[role="combobox"].px-4.py-3.text-base')
+        expect(page).to have_css('[data-components--multi-select-target="trigger"].px-4.py-3.text-base')
       end
     end
 
     context "with dropdown" do
-      it "renders dropdown with listbox role" do
+      it "renders options list with listbox role" do
         render_inline(described_class.new(name: "tags[]"))
 
-        expect(page).to have_css('[data-components--multi-select-target="dropdown"][role="listbox"]')
+        expect(page).to have_css('#tags-listbox[data-components--multi-select-target="list"][role="listbox"]', visible: :all)
       end
 
       it "renders dropdown with multiselectable attribute" do
         render_inline(described_class.new(name: "tags[]"))
 
-        expect(page).to have_css('[role="listbox"][aria-multiselectable="true"]')
+        expect(page).to have_css('[role="listbox"][aria-multiselectable="true"]', visible: :all)
       end
 
       it "renders dropdown as hidden by default" do
@@ -404,6 +404,444 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
       end
     end
 
+    context "with single select" do
+      it "shows the selected label in the trigger instead of tags" do
+        render_inline(described_class.new(
+          name: "country",
+          id: "country",
+          label: "Country",
+          options: [ [ "France", "fr" ], [ "Spain", "es" ] ],
+          value: "fr",
+          multiple: false
+        ))
+
+        expect(page).to have_css('[data-components--multi-select-multiple-value="false"]')
+        expect(page).to have_css('#country-selection[data-components--multi-select-target="selection"]', text: "France")
+        expect(page).to have_css('[data-components--multi-select-target="trigger"][aria-labelledby="country-label country-selection"]')
+        expect(page).not_to have_css('[data-components--multi-select-target="tags"]')
+        expect(page).to have_css('[role="listbox"][aria-multiselectable="false"]', visible: :all)
+      end
+
+      it "renders one hidden input" do
+        render_inline(described_class.new(name: "country", options: [ [ "France", "fr" ] ], value: "fr", multiple: false))
+
+        expect(page).to have_css('input[type="hidden"][name="country"]', count: 1, visible: :all)
+        expect(page).to have_css('input[type="hidden"][name="country"][value="fr"]', visible: :all)
+      end
+
+      it "renders a blank hidden input without value" do
+        render_inline(described_class.new(name: "country", options: [ [ "France", "fr" ] ], multiple: false))
+
+        expect(page).to have_css('input[type="hidden"][name="country"][value=""]', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="selection"].hidden', visible: :all)
+      end
+
+      it "renders a clear button when clearable" do
+        render_inline(described_class.new(name: "country", options: [ [ "France", "fr" ] ], value: "fr", multiple: false, clearable: true))
+
+        expect(page).to have_css('button[data-components--multi-select-target="clear"][aria-label="Effacer la sélection"]')
+        expect(page).to have_css('[data-action="click->components--multi-select#clearSelection:stop"]')
+      end
+
+      it "does not render a clear button by default" do
+        render_inline(described_class.new(name: "country", options: [ [ "France", "fr" ] ], value: "fr", multiple: false))
+
+        expect(page).not_to have_css('[data-components--multi-select-target="clear"]')
+      end
+
+      it "raises error with multi-select options" do
+        expect {
+          described_class.new(name: "country", multiple: false, max_selections: 2)
+        }.to raise_error(ArgumentError, /max_selections requires multiple/)
+      end
+    end
+
+    context "with virtualized list" do
+      it "passes options as JSON instead of rendering them" do
+        render_inline(described_class.new(
+          name: "cities[]",
+          options: [ [ "Paris", "1", { keywords: "capitale" } ], [ "Lyon", "2" ] ],
+          disabled_options: [ "2" ],
+          virtualized: true
+        ))
+
+        wrapper = page.find('[data-components--multi-select-virtualized-value="true"]')
+        expect(JSON.parse(wrapper["data-components--multi-select-options-value"])).to eq([
+          { "value" => "1", "label" => "Paris", "keywords" => "capitale" },
+          { "value" => "2", "label" => "Lyon", "disabled" => true }
+        ])
+        expect(page).not_to have_css('[data-components--multi-select-target="list"] [role="option"]')
+      end
+
+      it "renders the virtual window, option template and scroll action" do
+        render_inline(described_class.new(name: "cities[]", options: [ "Paris" ], virtualized: true))
+
+        expect(page).to have_css('[data-components--multi-select-target="virtualSpacer"] [data-components--multi-select-target="virtualWindow"]', visible: :all)
+        expect(page).to have_css('template[data-components--multi-select-target="optionTemplate"]', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="list"][data-action="scroll->components--multi-select#handleScroll"]', visible: :all)
+      end
+
+      it "renders selected options as tags" do
+        render_inline(described_class.new(name: "cities[]", options: [ [ "Paris", "1" ] ], value: [ "1" ], virtualized: true))
+
+        expect(page).to have_css('[data-components--multi-select-target="tag"][data-value="1"]', text: "Paris")
+      end
+
+      it "raises error with grouped options" do
+        expect {
+          described_class.new(name: "cities[]", options: { "France" => [ "Paris" ] }, virtualized: true)
+        }.to raise_error(ArgumentError, /virtualized cannot be combined with grouped options/)
+      end
+
+      it "raises error with search url" do
+        expect {
+          described_class.new(name: "cities[]", search_url: "/cities", virtualized: true)
+        }.to raise_error(ArgumentError, /virtualized cannot be combined with search_url/)
+      end
+    end
+
+    context "with reorderable tags" do
+      it "includes reorderable values" do
+        render_inline(described_class.new(name: "skills[]", options: [ "Ruby" ], reorderable: true))
+
+        expect(page).to have_css('[data-components--multi-select-reorderable-value="true"]')
+        expect(page).to have_css('[data-components--multi-select-moved-message-value="%{label} déplacé en position %{position} sur %{total}"]')
+      end
+
+      it "makes tags draggable" do
+        render_inline(described_class.new(
+          name: "skills[]",
+          id: "skills",
+          options: [ "Ruby", "Rails" ],
+          value: [ "Ruby" ],
+          reorderable: true
+        ))
+
+        expect(page).to have_css('[data-components--multi-select-target="tag"][draggable="true"][aria-describedby="skills-reorder-instructions"].cursor-move')
+        expect(page).to have_css("#skills-reorder-instructions.sr-only", text: "Appuyez sur Alt")
+        expect(page).to have_css('[data-components--multi-select-target="tags"][data-action*="drop->components--multi-select#reorderDrop"]')
+      end
+
+      it "renders tags in the order of the selected values" do
+        render_inline(described_class.new(
+          name: "skills[]",
+          options: [ "Ruby", "Rails", "SQL" ],
+          value: [ "SQL", "Ruby" ],
+          reorderable: true
+        ))
+
+        tags = page.all('[data-components--multi-select-target="tag"]').map { |tag| tag["data-value"] }
+        inputs = page.all('input[type="hidden"][name="skills[]"]', visible: :all).map(&:value)
+        expect(tags).to eq([ "SQL", "Ruby" ])
+        expect(inputs).to eq([ "SQL", "Ruby" ])
+      end
+
+      it "does not make tags draggable by default" do
+        render_inline(described_class.new(name: "skills[]", options: [ "Ruby" ], value: [ "Ruby" ]))
+
+        expect(page).not_to have_css("[draggable]")
+        expect(page).not_to have_css("[data-components--multi-select-reorderable-value]")
+      end
+    end
+
+    context "with search" do
+      it "marks option labels for match highlighting" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Café" ]))
+
+        expect(page).to have_css('[role="option"] [data-option-label]', text: "Café")
+      end
+
+      it "renders search keywords" do
+        render_inline(described_class.new(
+          name: "assignees[]",
+          options: [
+            [ "John Smith", "12", { keywords: [ "jsmith", "john@example.com" ] } ],
+            [ "Jane Doe", "15", { keywords: "jdoe" } ],
+            [ "Bob Martin", "18" ]
+          ]
+        ))
+
+        expect(page).to have_css('[role="option"][data-value="12"][data-keywords="jsmith john@example.com"]')
+        expect(page).to have_css('[role="option"][data-value="15"][data-keywords="jdoe"]')
+        expect(page).not_to have_css('[role="option"][data-value="18"][data-keywords]')
+      end
+
+      it "renders selected options with keywords as tags" do
+        render_inline(described_class.new(
+          name: "assignees[]",
+          options: [ [ "John Smith", "12", { keywords: "jsmith" } ] ],
+          value: [ "12" ]
+        ))
+
+        expect(page).to have_css('[data-components--multi-select-target="tag"][data-value="12"]', text: "John Smith")
+      end
+
+      it "includes fuzzy value when enabled" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], fuzzy: true))
+
+        expect(page).to have_css('[data-components--multi-select-fuzzy-value="true"]')
+      end
+
+      it "does not include fuzzy value by default" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).not_to have_css("[data-components--multi-select-fuzzy-value]")
+      end
+    end
+
+    context "with option groups" do
+      it "wraps each group with its header" do
+        render_inline(described_class.new(
+          name: "tech[]",
+          id: "tech",
+          options: {
+            "Backend" => [ [ "Ruby", "ruby" ] ],
+            "Frontend" => [ [ "JavaScript", "js" ] ]
+          }
+        ))
+
+        expect(page).to have_css('[data-components--multi-select-target="group"][role="group"][aria-labelledby="tech-group-0"]')
+        expect(page).to have_css("#tech-group-0", text: "Backend")
+        expect(page).to have_css('#tech-group-1 ~ [data-value="js"]')
+      end
+
+      it "gives options unique ids across groups" do
+        render_inline(described_class.new(
+          name: "tech[]",
+          id: "tech",
+          options: {
+            "Backend" => [ [ "Ruby", "ruby" ] ],
+            "Frontend" => [ [ "JavaScript", "js" ] ]
+          }
+        ))
+
+        expect(page).to have_css('#tech-option-0-0[data-value="ruby"]')
+        expect(page).to have_css('#tech-option-1-0[data-value="js"]')
+      end
+    end
+
+    context "with disabled options" do
+      it "marks disabled options" do
+        render_inline(described_class.new(
+          name: "tags[]",
+          options: [ [ "Ruby", "ruby" ], [ "Python", "python" ] ],
+          disabled_options: [ "python" ]
+        ))
+
+        expect(page).to have_css('[data-value="python"][data-disabled][aria-disabled="true"].cursor-not-allowed')
+        expect(page).to have_css('[role="option"][data-value="ruby"][aria-disabled="false"].cursor-pointer')
+      end
+    end
+
+    context "with max selections" do
+      it "includes max selections values" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby", "Rails" ], max_selections: 2))
+
+        expect(page).to have_css('[data-components--multi-select-max-selections-value="2"]')
+        expect(page).to have_css('[data-components--multi-select-max-selections-message-value="Vous pouvez sélectionner 2 options au maximum"]')
+      end
+
+      it "disables unselected options when the limit is reached" do
+        render_inline(described_class.new(
+          name: "tags[]",
+          options: [ "Ruby", "Rails", "Python" ],
+          value: [ "Ruby" ],
+          max_selections: 1
+        ))
+
+        expect(page).to have_css('[role="option"][data-value="Ruby"][aria-disabled="false"]')
+        expect(page).to have_css('[role="option"][data-value="Rails"][aria-disabled="true"]')
+        expect(page).not_to have_css('[role="option"][data-value="Rails"][data-disabled]')
+      end
+
+      it "renders the announcer" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], max_selections: 1))
+
+        expect(page).to have_css('[data-components--multi-select-target="announcer"][aria-live="polite"]', visible: :all)
+      end
+
+      it "raises error for invalid max selections" do
+        expect {
+          described_class.new(name: "tags[]", max_selections: 0)
+        }.to raise_error(ArgumentError, /max_selections must be a positive integer/)
+      end
+    end
+
+    context "with bulk actions" do
+      it "renders select all and clear all buttons" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], bulk_actions: true))
+
+        expect(page).to have_css('button[data-action="click->components--multi-select#selectAllVisible"]', text: "Tout sélectionner")
+        expect(page).to have_css('button[data-action="click->components--multi-select#clearAll"]', text: "Tout effacer")
+      end
+
+      it "does not render bulk actions by default" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).not_to have_css('[data-action="click->components--multi-select#selectAllVisible"]')
+      end
+    end
+
+    context "with remote search" do
+      it "includes search url and min query length values" do
+        render_inline(described_class.new(name: "customer_ids[]", search_url: "/customers/search", min_query_length: 2))
+
+        expect(page).to have_css('[data-components--multi-select-url-value="/customers/search"]')
+        expect(page).to have_css('[data-components--multi-select-min-query-length-value="2"]')
+      end
+
+      it "does not render options but keeps selected tags" do
+        render_inline(described_class.new(
+          name: "customer_ids[]",
+          search_url: "/customers/search",
+          options: [ [ "Acme", "42" ] ],
+          value: [ "42" ]
+        ))
+
+        expect(page).not_to have_css('[data-components--multi-select-target="list"] [role="option"]')
+        expect(page).to have_css('[data-components--multi-select-target="tag"][data-value="42"]', text: "Acme")
+        expect(page).to have_css('input[type="hidden"][name="customer_ids[]"][value="42"]', visible: :all)
+      end
+
+      it "renders option template, loading and error states" do
+        render_inline(described_class.new(name: "customer_ids[]", search_url: "/customers/search"))
+
+        expect(page).to have_css('template[data-components--multi-select-target="optionTemplate"]', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="loading"].hidden', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="loadError"].hidden', visible: :all)
+      end
+
+      it "loads more options on scroll" do
+        render_inline(described_class.new(name: "customer_ids[]", search_url: "/customers/search"))
+
+        expect(page).to have_css('[data-components--multi-select-target="list"][data-action="scroll->components--multi-select#handleScroll"]')
+      end
+
+      it "does not include remote values by default" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).not_to have_css("[data-components--multi-select-url-value]")
+        expect(page).not_to have_css('template[data-components--multi-select-target="optionTemplate"]', visible: :all)
+      end
+    end
+
+    context "with creatable tags" do
+      it "includes creatable values" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], creatable: true))
+
+        expect(page).to have_css('[data-components--multi-select-creatable-value="true"]')
+        expect(page).to have_css('[data-components--multi-select-create-label-value="Créer « %{label} »"]')
+        expect(page).not_to have_css("[data-components--multi-select-create-url-value]")
+      end
+
+      it "renders a hidden create option and error message" do
+        render_inline(described_class.new(name: "tags[]", id: "tags", options: [ "Ruby" ], creatable: true))
+
+        expect(page).to have_css('#tags-create-option[data-components--multi-select-target="createOption"][role="option"].hidden', visible: :all)
+        expect(page).to have_css('#tags-create-option[data-action="click->components--multi-select#createFromInput"]', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="createError"][role="alert"].hidden', visible: :all)
+      end
+
+      it "makes the field creatable with a create url" do
+        render_inline(described_class.new(name: "tag_ids[]", options: [ [ "Ruby", "1" ] ], create_url: "/tags"))
+
+        expect(page).to have_css('[data-components--multi-select-creatable-value="true"]')
+        expect(page).to have_css('[data-components--multi-select-create-url-value="/tags"]')
+      end
+
+      it "creates tags from pasted lists" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], creatable: true))
+
+        expect(page).to have_css('input[data-action*="paste->components--multi-select#handlePaste"]')
+      end
+
+      it "does not render create option by default" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).not_to have_css("[data-components--multi-select-creatable-value]")
+        expect(page).not_to have_css('[data-components--multi-select-target="createOption"]', visible: :all)
+      end
+    end
+
+    context "with dependent options" do
+      it "passes the parent field and messages" do
+        render_inline(described_class.new(name: "regions[]", options: [ "Brittany" ], depends_on: "country"))
+
+        expect(page).to have_css('[data-components--multi-select-depends-on-value="country"]')
+        expect(page).to have_css('[data-components--multi-select-awaiting-parent-message-value="Sélectionnez d\'abord %{parent}"]')
+        expect(page).to have_css('[data-components--multi-select-dropped-message-value="Plus disponible : %{labels}"]')
+      end
+
+      it "renders the parent values of options and selected tags" do
+        render_inline(described_class.new(
+          name: "regions[]",
+          options: [ [ "Brittany", "bzh", { parent: "fr" } ], [ "Catalonia", "cat", { parent: [ "es", "fr" ] } ], [ "Elsewhere", "x" ] ],
+          value: [ "bzh" ],
+          depends_on: "country"
+        ))
+
+        expect(page).to have_css('[role="option"][data-value="bzh"][data-parent=\'["fr"]\']', visible: :all)
+        expect(page).to have_css('[role="option"][data-value="cat"][data-parent=\'["es","fr"]\']', visible: :all)
+        expect(page).to have_css('[role="option"][data-value="x"]:not([data-parent])', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="tag"][data-value="bzh"][data-parent=\'["fr"]\']')
+      end
+
+      it "passes the parent values of virtual options" do
+        render_inline(described_class.new(
+          name: "regions[]",
+          options: [ [ "Brittany", "bzh", { parent: "fr" } ] ],
+          virtualized: true,
+          depends_on: "country"
+        ))
+
+        wrapper = page.find('[data-components--multi-select-virtualized-value="true"]')
+        expect(JSON.parse(wrapper["data-components--multi-select-options-value"])).to eq([
+          { "value" => "bzh", "label" => "Brittany", "parents" => [ "fr" ] }
+        ])
+      end
+
+      it "does not pass dependent attributes by default" do
+        render_inline(described_class.new(name: "regions[]", options: [ "Brittany" ]))
+
+        expect(page).not_to have_css("[data-components--multi-select-depends-on-value]")
+      end
+    end
+
+    context "with form integration" do
+      it "renders a hidden validation message when required" do
+        render_inline(described_class.new(name: "tags[]", id: "tags", options: [ "Ruby" ], required: true))
+
+        expect(page).to have_css('#tags-validation.hidden[role="alert"][data-components--multi-select-target="validationMessage"]', text: "Veuillez sélectionner au moins une option", visible: :all)
+        expect(page).to have_css('#tags[required][aria-describedby="tags-validation"]')
+      end
+
+      it "uses a singular validation message in single select" do
+        render_inline(described_class.new(name: "country", options: [ "France" ], required: true, multiple: false))
+
+        expect(page).to have_css('[data-components--multi-select-target="validationMessage"]', text: "Veuillez sélectionner une option", visible: :all)
+      end
+
+      it "does not render a validation message when optional" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).not_to have_css('[data-components--multi-select-target="validationMessage"]', visible: :all)
+      end
+
+      it "does not render a validation message next to a server error" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], required: true, error: "is required"))
+
+        expect(page).not_to have_css('[data-components--multi-select-target="validationMessage"]', visible: :all)
+        expect(page).to have_css('[data-components--multi-select-target="error"]', text: "is required")
+      end
+
+      it "keeps the search input events from reaching the form" do
+        render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ]))
+
+        expect(page).to have_css('input[data-action*="input->components--multi-select#filterOptions:stop"]', visible: :all)
+        expect(page).to have_css('input[data-action*="change->components--multi-select#stopSearchEvent"]', visible: :all)
+      end
+    end
+
     context "with Stimulus integration" do
       it "includes selected value data attribute" do
         render_inline(described_class.new(
@@ -481,7 +919,31 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
         label: "Tags"
       ))
 
-      expect(page).to have_css('[role="listbox"][aria-labelledby="tags-label"]')
+      expect(page).to have_css('[role="listbox"][aria-labelledby="tags-label"]', visible: :all)
+    end
+
+    it "renders the search input as combobox" do
+      render_inline(described_class.new(name: "tags[]", label: "Tags"))
+
+      expect(page).to have_css('input[role="combobox"][aria-controls="tags-listbox"][aria-autocomplete="list"][aria-expanded="false"]', visible: :all)
+      expect(page).to have_css('input[role="combobox"][aria-labelledby="tags-label"]', visible: :all)
+    end
+
+    it "renders tags as focusable list items" do
+      render_inline(described_class.new(name: "tags[]", options: [ "Ruby" ], value: [ "Ruby" ]))
+
+      expect(page).to have_css('[data-components--multi-select-target="tags"][role="list"]')
+      expect(page).to have_css('[data-components--multi-select-target="tag"][role="listitem"][tabindex="-1"]')
+      expect(page).to have_css('[data-components--multi-select-target="tag"][data-action="keydown->components--multi-select#handleTagKeydown"]')
+      expect(page).to have_css('[data-components--multi-select-target="tag"] button[tabindex="-1"]')
+    end
+
+    it "includes announcement messages" do
+      render_inline(described_class.new(name: "tags[]"))
+
+      expect(page).to have_css('[data-components--multi-select-added-message-value="%{label} ajouté, %{count} sélectionné(s)"]')
+      expect(page).to have_css('[data-components--multi-select-removed-message-value="%{label} retiré, %{count} sélectionné(s)"]')
+      expect(page).to have_css('[data-components--multi-select-cleared-message-value="Sélection effacée"]')
     end
 
     it "includes aria-describedby for hint" do
@@ -559,7 +1021,76 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
       expect(page).to have_css("label", text: "Tags")
       expect(page).to have_css("label span", text: "*")
       expect(page).to have_css('p[role="alert"]', text: "is invalid")
-      expect(page).to have_css('[role="combobox"].px-4.py-3')
+      expect(page).to have_css('[data-components--multi-select-target="trigger"].px-4.py-3')
+    end
+  end
+
+  describe "#option_disabled?" do
+    it "returns true for disabled options" do
+      component = described_class.new(name: "tags[]", options: [ "Ruby" ], disabled_options: [ "Ruby" ])
+
+      expect(component.option_disabled?("Ruby")).to eq(true)
+    end
+
+    it "returns true for unselected options once the limit is reached" do
+      component = described_class.new(name: "tags[]", options: [ "Ruby", "Rails" ], value: [ "Ruby" ], max_selections: 1)
+
+      expect(component.option_disabled?("Rails")).to eq(true)
+      expect(component.option_disabled?("Ruby")).to eq(false)
+    end
+
+    it "returns false without limit or disabled options" do
+      component = described_class.new(name: "tags[]", options: [ "Ruby" ])
+
+      expect(component.option_disabled?("Ruby")).to eq(false)
+    end
+  end
+
+  describe "#creatable?" do
+    it "returns true when creatable" do
+      component = described_class.new(name: "tags[]", creatable: true)
+
+      expect(component.creatable?).to eq(true)
+    end
+
+    it "returns true with create url" do
+      component = described_class.new(name: "tags[]", create_url: "/tags")
+
+      expect(component.creatable?).to eq(true)
+    end
+
+    it "returns false by default" do
+      component = described_class.new(name: "tags[]")
+
+      expect(component.creatable?).to eq(false)
+    end
+  end
+
+  describe "#dependent?" do
+    it "returns true with a parent field" do
+      component = described_class.new(name: "regions[]", depends_on: "country")
+
+      expect(component.dependent?).to eq(true)
+    end
+
+    it "returns false by default" do
+      component = described_class.new(name: "regions[]")
+
+      expect(component.dependent?).to eq(false)
+    end
+  end
+
+  describe "#remote?" do
+    it "returns true with search url" do
+      component = described_class.new(name: "tags[]", search_url: "/tags/search")
+
+      expect(component.remote?).to eq(true)
+    end
+
+    it "returns false without search url" do
+      component = described_class.new(name: "tags[]")
+
+      expect(component.remote?).to eq(false)
     end
   end
 
@@ -681,5 +1212,25 @@ RSpec.describe Form::Field::MultiSelectComponent, type: :component do
 
       expect(component.selected_options).to eq([ [ "Ruby", "ruby" ], [ "JavaScript", "js" ] ])
     end
+
+    it "follows the order of the selected values" do
+      component = described_class.new(
+        name: "tags[]",
+        options: [ [ "Ruby", "ruby" ], [ "Rails", "rails" ], [ "JS", "js" ] ],
+        value: [ "js", "ruby" ]
+      )
+
+      expect(component.selected_options).to eq([ [ "JS", "js" ], [ "Ruby", "ruby" ] ])
+    end
+
+    it "leaves out search keywords" do
+      component = described_class.new(
+        name: "tags[]",
+        options: [ [ "Ruby", "ruby", { keywords: "rb" } ] ],
+        value: [ "ruby" ]
+      )
+
+      expect(component.selected_options).to eq([ [ "Ruby", "ruby" ] ])
+    end
   end
 end
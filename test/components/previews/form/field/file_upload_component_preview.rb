@@ -9,7 +9,7 @@
 #   - File type validation (accept attribute)
 #   - File size validation
 #   - Multiple file support with max count
-#   - Image preview for image files
+#   - Previews for images, PDFs, video, audio and text files
 #   - Remove files functionality
 class Form::Field::FileUploadComponentPreview < ViewComponent::Preview
   # @label Default
@@ -184,6 +184,145 @@ class Form::Field::FileUploadComponentPreview < ViewComponent::Preview
     ))
   end
 
+  # @label Direct Upload
+  # @note
+  #   Files are uploaded as soon as they are added, with per-file progress.
+  #   Failed uploads are retried with exponential backoff. Uploads go through
+  #   Active Storage's DirectUpload, so the app pins "@rails/activestorage".
+  #   Each row can cancel a running upload or retry a failed one.
+  #   The form submits signed blob ids instead of the raw files.
+  def direct_upload
+    render(Form::Field::FileUploadComponent.new(
+      name: "attachments[]",
+      label: "Attachments",
+      multiple: true,
+      direct_upload_url: "/rails/active_storage/direct_uploads",
+      hint: "Files upload in the background while you fill in the form"
+    ))
+  end
+
+  # @label Image Processing
+  # @note
+  #   Images are resized to fit 1600px, compressed to JPEG and stripped of EXIF
+  #   metadata in the browser before being added. The max size check applies to
+  #   the processed image, so large phone photos are accepted.
+  def image_processing
+    render(Form::Field::FileUploadComponent.new(
+      name: "photo",
+      label: "Photo",
+      accept: "image/*",
+      max_size: 2 * 1024 * 1024, # 2MB
+      image_max_width: 1600,
+      image_max_height: 1600,
+      image_quality: 0.8,
+      image_type: "image/jpeg",
+      strip_metadata: true,
+      hint: "Photos are resized to 1600px before upload"
+    ))
+  end
+
+  # @label Image Editor
+  # @note
+  #   Click an image preview to open the crop editor. The crop is locked to a
+  #   square, and the image can be rotated, zoomed and moved with the mouse or
+  #   the keyboard before the edited image replaces the original.
+  def image_editor
+    render(Form::Field::FileUploadComponent.new(
+      name: "avatar",
+      label: "Avatar",
+      accept: "image/*",
+      image_editor: true,
+      crop_aspect_ratio: 1,
+      hint: "Click the preview to crop your avatar"
+    ))
+  end
+
+  # @label Reorderable Files
+  # @note
+  #   Drag files by their handle or press Alt+Up / Alt+Down to change their
+  #   order. Each file carries a hidden position field for the server.
+  def reorderable
+    render(Form::Field::FileUploadComponent.new(
+      name: "gallery[photos][]",
+      label: "Gallery",
+      accept: "image/*",
+      multiple: true,
+      max_files: 8,
+      reorderable: true,
+      position_field: "gallery[positions][]",
+      hint: "The first photo is used as the cover"
+    ))
+  end
+
+  # @label Folder Drops
+  # @note
+  #   Drop a whole folder to add every file inside it. Hidden and system files
+  #   are skipped, and each file shows and submits its path within the folder.
+  #   Screenshots can also be pasted into the focused drop zone.
+  def folder_drops
+    render(Form::Field::FileUploadComponent.new(
+      name: "project[files][]",
+      label: "Project files",
+      multiple: true,
+      max_files: 50,
+      path_field: "project[file_paths][]",
+      hint: "Drop a folder or paste a screenshot"
+    ))
+  end
+
+  # @label Content Validation
+  # @note
+  #   Files are checked beyond their extension: the leading bytes must match
+  #   the declared type, images must be at least 800×600 pixels, and identical
+  #   files or files over the 20 MB total are rejected. Rejected files are
+  #   listed with their error until dismissed.
+  def content_validation
+    render(Form::Field::FileUploadComponent.new(
+      name: "listing[photos][]",
+      label: "Listing photos",
+      accept: "image/png,image/jpeg",
+      multiple: true,
+      verify_content: true,
+      min_image_dimensions: { width: 800, height: 600 },
+      max_total_size: 20.megabytes,
+      reject_duplicates: true
+    ))
+  end
+
+  # @label Rich Previews
+  # @note
+  #   Previews are generated in the browser for every common type: images,
+  #   the first page of PDFs, a video frame with its duration, audio with a
+  #   play button, and the first lines of text and CSV files. PDF thumbnails
+  #   need pdf.js pinned in the app with its worker ("pdfjs-dist" and
+  #   "pdfjs-dist/build/pdf.worker.mjs"), PDFs keep the file icon otherwise.
+  def rich_previews
+    render(Form::Field::FileUploadComponent.new(
+      name: "attachments[]",
+      label: "Attachments",
+      multiple: true,
+      hint: "Try a PDF, a video, an audio file or a CSV"
+    ))
+  end
+
+  # @label Existing Attachments
+  # @note
+  #   On edit forms, files already attached are listed before new ones and
+  #   count against max_files. Removing one submits its signed id in the purge
+  #   field so the server can delete it.
+  def existing_attachments
+    render(Form::Field::FileUploadComponent.new(
+      name: "project[attachments][]",
+      label: "Attachments",
+      multiple: true,
+      max_files: 4,
+      attachments: [
+        { name: "specification.pdf", size: 482_304, signed_id: "preview-signed-id-1", content_type: "application/pdf" },
+        { name: "budget.xlsx", size: 36_864, signed_id: "preview-signed-id-2", content_type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }
+      ]
+    ))
+  end
+
   # @label Without Preview
   # @note
   #   Disable image preview to show just file icon and name.
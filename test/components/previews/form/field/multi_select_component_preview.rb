@@ -159,4 +159,152 @@ class Form::Field::MultiSelectComponentPreview < ViewComponent::Preview
       value: %w[Ruby JavaScript Go]
     ))
   end
+
+  # @label Remote Search
+  # @note
+  #   Options are fetched from the search endpoint as the user types, and more
+  #   results load when scrolling to the bottom of the list. The endpoint
+  #   receives q and page params and returns { options: [...], next_page: 2 }.
+  #   This preview needs a /customers/search endpoint in the host app.
+  def remote_search
+    render(Form::Field::MultiSelectComponent.new(
+      name: "customer_ids[]",
+      label: "Customers",
+      search_url: "/customers/search",
+      options: [ [ "Acme Corporation", "1" ] ],
+      value: [ "1" ],
+      hint: "Start typing to search customers"
+    ))
+  end
+
+  # @label Creatable Tags
+  # @note
+  #   Type a value that is not in the list and press Enter, comma or Tab to add it.
+  #   Pasting "design, research, ops" creates three tags at once.
+  def creatable
+    render(Form::Field::MultiSelectComponent.new(
+      name: "tags[]",
+      label: "Tags",
+      options: [ "Ruby", "Rails", "JavaScript" ],
+      value: [ "Ruby" ],
+      creatable: true,
+      hint: "Pick existing tags or create new ones"
+    ))
+  end
+
+  # @label Limits and Disabled Options
+  # @note
+  #   Up to two reviewers can be picked; Dave is unavailable. Once the limit is
+  #   reached, remaining options are disabled and the limit is announced.
+  def limits_and_disabled_options
+    render(Form::Field::MultiSelectComponent.new(
+      name: "reviewers[]",
+      label: "Reviewers",
+      options: {
+        "Engineering" => [ [ "Alice", "1" ], [ "Bob", "2" ] ],
+        "Design" => [ [ "Carol", "3" ], [ "Dave", "4" ] ]
+      },
+      disabled_options: [ "4" ],
+      max_selections: 2,
+      bulk_actions: true,
+      hint: "Select up to 2 reviewers"
+    ))
+  end
+
+  # @label Fuzzy Search
+  # @note
+  #   Search ignores accents ("cafe" finds "Café") and matches every word.
+  #   Fuzzy matching finds "John Smith" with "jsmith", also searches the
+  #   keywords of each option, and sorts results by relevance.
+  def fuzzy_search
+    render(Form::Field::MultiSelectComponent.new(
+      name: "assignees[]",
+      label: "Assignees",
+      options: [
+        [ "John Smith", "1", { keywords: "john@example.com" } ],
+        [ "Jane Doe", "2", { keywords: "jane@example.com" } ],
+        [ "Chloé Dupré", "3", { keywords: "chloe@example.com" } ],
+        [ "Café Team", "4", { keywords: "cafe support" } ]
+      ],
+      fuzzy: true
+    ))
+  end
+
+  # @label Keyboard Navigation
+  # @note
+  #   Arrow keys, Home, End, PageUp and PageDown move through the options while
+  #   focus stays in the search input. Left/Right move between tags, and Delete
+  #   or Backspace removes the focused tag. Changes are announced to screen readers.
+  def keyboard_navigation
+    render(Form::Field::MultiSelectComponent.new(
+      name: "cities[]",
+      label: "Cities",
+      options: [ "Amsterdam", "Berlin", "Lisbon", "London", "Madrid", "Paris", "Prague", "Rome", "Vienna", "Warsaw", "Zurich" ],
+      value: [ "Lisbon", "Paris" ]
+    ))
+  end
+
+  # @label Reorderable Tags
+  # @note
+  #   Drag tags, or focus one and press Alt+Left/Right, to change their order.
+  #   Values are submitted in the order of the tags.
+  def reorderable
+    render(Form::Field::MultiSelectComponent.new(
+      name: "priority_skills[]",
+      label: "Priority skills",
+      options: [ "Ruby", "Rails", "SQL", "JavaScript", "Docker" ],
+      value: [ "SQL", "Ruby", "Docker" ],
+      reorderable: true,
+      hint: "Most important first"
+    ))
+  end
+
+  # @label Virtualized List
+  # @note
+  #   5,000 options, of which only the ones scrolled into view are rendered.
+  #   Search and keyboard navigation work across the whole list.
+  def virtualized
+    render(Form::Field::MultiSelectComponent.new(
+      name: "items[]",
+      label: "Items",
+      options: (1..5000).map { |i| [ "Item #{i}", i.to_s ] },
+      value: [ "42", "1337" ],
+      virtualized: true,
+      fuzzy: true
+    ))
+  end
+
+  # @label Single Select
+  # @note
+  #   A searchable select for one value, with its label in the trigger and a
+  #   clear button. A multi-select:change event is dispatched on change.
+  def single_select
+    render(Form::Field::MultiSelectComponent.new(
+      name: "country",
+      label: "Country",
+      options: [ [ "France", "fr" ], [ "Germany", "de" ], [ "Italy", "it" ], [ "Spain", "es" ], [ "Portugal", "pt" ] ],
+      value: "fr",
+      placeholder: "Select a country",
+      multiple: false,
+      clearable: true
+    ))
+  end
+
+  # @label Form Integration
+  # @note
+  #   Required fields inside a form. Submitting without a selection shows a
+  #   validation message, reset restores the initial selection, and input and
+  #   change events bubble to the form like those of a native select.
+  def form_integration
+    render_with_template
+  end
+
+  # @label Dependent Select
+  # @note
+  #   Regions follow the selected countries. Removing a country drops its
+  #   selected regions with an announcement, and the regions field is disabled
+  #   until a country is selected.
+  def dependent_select
+    render_with_template
+  end
 end